@@ -0,0 +1,43 @@
+-- Core tables: sentinels (users), their watch targets and intercepted signals
+-- Written with IF NOT EXISTS so databases created before migrations existed can adopt them
+
+CREATE TABLE IF NOT EXISTS sentinels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  callsign TEXT NOT NULL UNIQUE,             -- Stored uppercase
+  passcode_hash TEXT NOT NULL,               -- SHA-256 hex digest
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_login TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS watch_targets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES sentinels(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  name TEXT,
+  check_interval INTEGER NOT NULL DEFAULT 60, -- Seconds between scans
+  last_hash TEXT,                            -- SHA-256 of the last scanned content
+  last_check TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS watch_targets_user_created_idx ON watch_targets (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS watch_targets_active_idx ON watch_targets (user_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS signals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_id UUID NOT NULL REFERENCES watch_targets(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES sentinels(id) ON DELETE CASCADE,
+  source_url TEXT,
+  content TEXT,                              -- Context around the matched keywords
+  matched_keywords TEXT[] NOT NULL DEFAULT '{}',
+  ai_summary TEXT,
+  ai_threat_level TEXT NOT NULL DEFAULT 'UNKNOWN', -- LOW / MEDIUM / HIGH / CRITICAL / UNKNOWN
+  ai_category TEXT NOT NULL DEFAULT 'UNKNOWN',
+  intercepted_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS signals_user_intercepted_idx ON signals (user_id, intercepted_at DESC);
+CREATE INDEX IF NOT EXISTS signals_target_idx ON signals (target_id);
@@ -0,0 +1,5 @@
+-- Persist whether a sentinel's monitoring is running so it resumes after a restart
+
+ALTER TABLE sentinels
+  ADD COLUMN IF NOT EXISTS monitoring_enabled BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS monitoring_last_run TIMESTAMPTZ;
@@ -0,0 +1,16 @@
+-- Compressed page text captured on each content change, kept per target up to its retention
+
+ALTER TABLE watch_targets
+  ADD COLUMN IF NOT EXISTS snapshot_retention INTEGER; -- NULL uses SNAPSHOT_RETENTION
+
+CREATE TABLE IF NOT EXISTS target_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_id UUID NOT NULL REFERENCES watch_targets(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES sentinels(id) ON DELETE CASCADE,
+  content_hash TEXT NOT NULL,
+  content TEXT NOT NULL,                     -- Base64 gzip of the scanned text
+  content_length INTEGER NOT NULL,           -- Uncompressed characters
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS target_snapshots_target_captured_idx ON target_snapshots (target_id, captured_at DESC);
@@ -0,0 +1,16 @@
+-- Alert modes, selector scoping, and RSS/Atom feed and JSON API targets
+
+ALTER TABLE watch_targets
+  ADD COLUMN IF NOT EXISTS alert_mode TEXT NOT NULL DEFAULT 'any',       -- any / new_occurrences
+  ADD COLUMN IF NOT EXISTS include_selector TEXT,
+  ADD COLUMN IF NOT EXISTS exclude_selectors TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS target_type TEXT NOT NULL DEFAULT 'page',     -- page / feed / json
+  ADD COLUMN IF NOT EXISTS json_path TEXT,
+  ADD COLUMN IF NOT EXISTS json_conditions TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS seen_guids TEXT[] NOT NULL DEFAULT '{}';      -- Feed items already processed
+
+-- Feed signals point at the item that matched
+ALTER TABLE signals
+  ADD COLUMN IF NOT EXISTS item_title TEXT,
+  ADD COLUMN IF NOT EXISTS item_link TEXT,
+  ADD COLUMN IF NOT EXISTS item_published_at TIMESTAMPTZ;
@@ -0,0 +1,6 @@
+-- HTTP validators from the last response, sent back as If-None-Match / If-Modified-Since
+
+ALTER TABLE watch_targets
+  ADD COLUMN IF NOT EXISTS etag TEXT,
+  ADD COLUMN IF NOT EXISTS last_modified TEXT,
+  ADD COLUMN IF NOT EXISTS last_content_length INTEGER; -- Bytes of the last full response
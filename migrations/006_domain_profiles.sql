@@ -0,0 +1,19 @@
+-- Per-host request settings managed by admins, and targets skipped by robots.txt
+
+CREATE TABLE IF NOT EXISTS domain_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT,
+  pattern TEXT NOT NULL UNIQUE,              -- Hostname, or *.hostname for subdomains only
+  headers JSONB NOT NULL DEFAULT '{}',
+  cookies JSONB NOT NULL DEFAULT '{}',
+  user_agent TEXT,
+  accept_language TEXT,
+  min_delay_ms INTEGER NOT NULL DEFAULT 0,
+  include_selector TEXT,
+  exclude_selectors TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE watch_targets
+  ADD COLUMN IF NOT EXISTS blocked_reason TEXT;  -- Set while robots.txt disallows the URL
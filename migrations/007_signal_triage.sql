@@ -0,0 +1,20 @@
+-- Signal triage: status, assignee and notes, with an audit trail of every change
+
+ALTER TABLE signals
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'acknowledged', 'dismissed', 'escalated')),
+  ADD COLUMN IF NOT EXISTS assignee TEXT,       -- Callsign of the sentinel handling it
+  ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS signals_user_status_idx ON signals (user_id, status);
+
+CREATE TABLE IF NOT EXISTS signal_audit (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  signal_id UUID NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES sentinels(id) ON DELETE CASCADE,
+  actor TEXT NOT NULL,                        -- Callsign that made the change
+  changes JSONB NOT NULL,                     -- { field: { from, to } }
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS signal_audit_signal_created_idx ON signal_audit (signal_id, created_at DESC);
@@ -0,0 +1,13 @@
+-- Tell "never started" apart from "explicitly stopped" so background mode
+-- only skips sentinels who stopped their watch:
+--   NULL  never chosen (background mode watches them)
+--   true  running, restored after a restart
+--   false stopped with /api/stream/stop
+
+ALTER TABLE sentinels
+  ALTER COLUMN monitoring_enabled DROP NOT NULL,
+  ALTER COLUMN monitoring_enabled SET DEFAULT NULL;
+
+-- false used to be the default; sentinels that never completed a pass never ran a watch to stop
+UPDATE sentinels SET monitoring_enabled = NULL
+  WHERE monitoring_enabled = false AND monitoring_last_run IS NULL;
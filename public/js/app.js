@@ -78,6 +78,7 @@ const storage = {
 // SSE reconnection state
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 10;
+let lastEventId = null; // Last SSE event ID seen, for replay after reconnect
 
 // State
 let eventSource = null;
@@ -87,6 +88,10 @@ let signalCount = 0;
 let startTime = Date.now();
 let currentSentinel = null;
 
+// Signal archive state
+let archiveSignals = []; // Rows loaded so far, newest first
+let archiveCursor = null; // nextCursor from the last page, null when exhausted
+
 // DOM Elements
 const elements = {
   bootScreen: document.getElementById('boot-screen'),
@@ -96,6 +101,13 @@ const elements = {
   inputUrl: document.getElementById('input-url'),
   inputKeywords: document.getElementById('input-keywords'),
   inputName: document.getElementById('input-name'),
+  inputInterval: document.getElementById('input-interval'),
+  inputSelector: document.getElementById('input-selector'),
+  inputType: document.getElementById('input-type'),
+  jsonOptions: document.getElementById('json-options'),
+  inputJsonPath: document.getElementById('input-json-path'),
+  inputJsonConditions: document.getElementById('input-json-conditions'),
+  inputNewOnly: document.getElementById('input-new-only'),
   btnStart: document.getElementById('btn-start'),
   btnScan: document.getElementById('btn-scan'),
   btnClear: document.getElementById('btn-clear'),
@@ -106,6 +118,20 @@ const elements = {
   btnCloseModal: document.getElementById('btn-close-modal'),
   helpModal: document.getElementById('help-modal'),
   btnCloseHelp: document.getElementById('btn-close-help'),
+  btnArchive: document.getElementById('btn-archive'),
+  archiveModal: document.getElementById('archive-modal'),
+  archiveFilters: document.getElementById('archive-filters'),
+  archiveSearch: document.getElementById('archive-search'),
+  archiveTarget: document.getElementById('archive-target'),
+  archiveThreat: document.getElementById('archive-threat'),
+  archiveStatusFilter: document.getElementById('archive-status-filter'),
+  archiveKeyword: document.getElementById('archive-keyword'),
+  archiveFrom: document.getElementById('archive-from'),
+  archiveTo: document.getElementById('archive-to'),
+  archiveList: document.getElementById('archive-list'),
+  archiveStatus: document.getElementById('archive-status'),
+  btnArchiveMore: document.getElementById('btn-archive-more'),
+  btnCloseArchive: document.getElementById('btn-close-archive'),
   systemTime: document.getElementById('system-time'),
   signalCount: document.getElementById('signal-count'),
   targetCount: document.getElementById('target-count'),
@@ -201,6 +227,9 @@ function onAuthSuccess(sentinel) {
   // Initialize terminal with welcome message
   terminal.print('SENTINEL OS v4.0.1 INITIALIZED', 'system');
   terminal.print(`Welcome, ${sentinel.callsign}. Identity verified.`, 'success');
+  if (sentinel.demo) {
+    terminal.print('[DEMO] Sandbox mode - simulated frequencies, no real transmissions', 'warning');
+  }
   terminal.print('Awaiting frequency configuration...', 'info');
   terminal.print('', '');
 
@@ -213,6 +242,9 @@ function onAuthSuccess(sentinel) {
   // Load existing targets
   loadTargets();
 
+  // Count signals stored before this session
+  loadSignalCount();
+
   // Connect to SSE stream
   connectToStream();
 
@@ -232,6 +264,11 @@ function setupEventListeners() {
   // Target form submission
   elements.targetForm.addEventListener('submit', handleAddTarget);
 
+  // JSON options only apply to JSON API targets
+  elements.inputType.addEventListener('change', () => {
+    elements.jsonOptions.classList.toggle('hidden', elements.inputType.value !== 'json');
+  });
+
   // Control buttons
   elements.btnStart.addEventListener('click', toggleMonitoring);
   elements.btnScan.addEventListener('click', handleManualScan);
@@ -250,10 +287,32 @@ function setupEventListeners() {
     if (e.target === elements.helpModal) closeHelpModal();
   });
 
+  // Signal Archive
+  elements.btnArchive.addEventListener('click', openArchive);
+  elements.btnCloseArchive.addEventListener('click', closeArchive);
+  elements.archiveModal.addEventListener('click', (e) => {
+    if (e.target === elements.archiveModal) closeArchive();
+  });
+  elements.archiveFilters.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadArchive();
+  });
+  elements.btnArchiveMore.addEventListener('click', () => loadArchive({ append: true }));
+  // One delegated listener: rows are re-rendered on every page load
+  elements.archiveList.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-signal-id]');
+    if (row) openArchivedSignal(row.dataset.signalId);
+  });
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
-      closeSignalModal();
+      // A signal opened from the archive closes first, leaving the archive open
+      if (!elements.signalModal.classList.contains('hidden')) {
+        closeSignalModal();
+        return;
+      }
+      closeArchive();
       closeHelpModal();
     }
   });
@@ -269,14 +328,21 @@ function connectToStream() {
 
   terminal.print('[LINK] Establishing connection...', 'info');
 
-  eventSource = new EventSource(`/api/stream/connect`);
+  // Resume from the last event we saw so missed transmissions are replayed
+  const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+  eventSource = new EventSource(`/api/stream/connect${query}`);
 
   eventSource.addEventListener('connected', (e) => {
     const data = safeJsonParse(e.data);
     if (data) {
       reconnectAttempts = 0; // Reset on successful connection
       terminal.print(`[LINK] ${data.message}`, 'success');
-      updateConnectionStatus('connected');
+
+      // Monitoring runs server-side, so it may already be active
+      setMonitoringState(!!data.monitoring);
+      if (data.monitoring) {
+        terminal.print('[SYSTEM] Watch mode active - sentinel kept watching while offline', 'info');
+      }
     }
   });
 
@@ -288,13 +354,16 @@ function connectToStream() {
   });
 
   eventSource.addEventListener('scan', (e) => {
+    trackEventId(e);
     const data = safeJsonParse(e.data);
     if (data) {
       terminal.print(data.content, 'scan');
+      if (data.diff) printDiffSummary(data.diff);
     }
   });
 
   eventSource.addEventListener('signal', (e) => {
+    trackEventId(e);
     const signal = safeJsonParse(e.data);
     if (signal) {
       handleSignalIntercepted(signal);
@@ -302,9 +371,15 @@ function connectToStream() {
   });
 
   eventSource.addEventListener('status', (e) => {
+    trackEventId(e);
     const data = safeJsonParse(e.data);
     if (data) {
       terminal.print(`[STATUS] ${data.message}`, 'info');
+
+      // Watch toggled from another console
+      if (typeof data.monitoring === 'boolean' && data.monitoring !== isMonitoring) {
+        setMonitoringState(data.monitoring);
+      }
     }
   });
 
@@ -332,6 +407,16 @@ function connectToStream() {
   };
 }
 
+/**
+ * Remember the ID of the latest replayable event
+ * @param {MessageEvent} e - SSE event
+ */
+function trackEventId(e) {
+  if (e.lastEventId) {
+    lastEventId = e.lastEventId;
+  }
+}
+
 /**
  * Update connection status indicator
  */
@@ -385,8 +470,16 @@ async function handleAddTarget(e) {
   const url = elements.inputUrl.value.trim();
   const keywords = elements.inputKeywords.value.split(',').map(k => k.trim()).filter(k => k);
   const name = elements.inputName.value.trim();
-
-  if (!url || keywords.length === 0) {
+  const checkInterval = parseInt(elements.inputInterval.value) || undefined;
+  const includeSelector = elements.inputSelector.value.trim() || undefined;
+  const alertMode = elements.inputNewOnly.checked ? 'new_occurrences' : 'any';
+  const targetType = elements.inputType.value;
+  const jsonPath = elements.inputJsonPath.value.trim() || undefined;
+  const jsonConditions = elements.inputJsonConditions.value.split('\n').map(c => c.trim()).filter(c => c);
+
+  // JSON targets may rely on field conditions alone
+  const hasConditions = targetType === 'json' && jsonConditions.length > 0;
+  if (!url || (keywords.length === 0 && !hasConditions)) {
     terminal.print('[ERROR] URL and at least one keyword required', 'error');
     return;
   }
@@ -397,7 +490,16 @@ async function handleAddTarget(e) {
     const response = await fetch(`/api/targets`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url, keywords, name })
+      body: JSON.stringify({
+        url,
+        keywords,
+        name,
+        check_interval: checkInterval,
+        target_type: targetType,
+        alert_mode: alertMode,
+        include_selector: includeSelector,
+        ...(targetType === 'json' && { json_path: jsonPath, json_conditions: jsonConditions })
+      })
     });
 
     const result = await response.json();
@@ -412,6 +514,13 @@ async function handleAddTarget(e) {
       elements.inputUrl.value = '';
       elements.inputKeywords.value = '';
       elements.inputName.value = '';
+      elements.inputInterval.value = '';
+      elements.inputSelector.value = '';
+      elements.inputNewOnly.checked = false;
+      elements.inputType.value = 'page';
+      elements.inputJsonPath.value = '';
+      elements.inputJsonConditions.value = '';
+      elements.jsonOptions.classList.add('hidden');
     } else {
       terminal.print(`[ERROR] ${result.error}`, 'error');
     }
@@ -428,12 +537,17 @@ function renderTargetsList() {
     // Escape all user-controlled data to prevent XSS
     const safeName = escapeHtml(target.name || target.url);
     const safeId = escapeHtml(target.id);
+    // Set by the server when robots.txt disallows the target
+    const blocked = target.blocked_reason
+      ? `<div class="text-threat-medium text-xs truncate" title="${escapeHtml(target.blocked_reason)}">[BLOCKED] ${escapeHtml(target.blocked_reason)}</div>`
+      : '';
 
     return `
     <div class="flex items-center justify-between py-1 border-b border-terminal-green-dim/30">
       <div class="truncate flex-1 mr-2">
-        <span class="text-terminal-green">${target.is_active ? '●' : '○'}</span>
+        <span class="${target.blocked_reason ? 'text-threat-medium' : 'text-terminal-green'}">${target.is_active ? '●' : '○'}</span>
         ${safeName}
+        ${blocked}
       </div>
       <button onclick="removeTarget('${safeId}')" class="text-threat-high hover:text-threat-critical">[X]</button>
     </div>
@@ -471,6 +585,26 @@ window.removeTarget = async function(id) {
   }
 };
 
+/**
+ * Reflect monitoring state in the controls
+ * @param {boolean} active - Whether the server-side watch is running
+ */
+function setMonitoringState(active) {
+  isMonitoring = active;
+
+  if (active) {
+    elements.btnStart.textContent = '[SUSPEND WATCH]';
+    elements.radarStatus.textContent = 'ACTIVE';
+    elements.radarStatus.className = 'text-threat-low';
+    updateConnectionStatus('monitoring');
+  } else {
+    elements.btnStart.textContent = '[INITIATE WATCH]';
+    elements.radarStatus.textContent = 'STANDBY';
+    elements.radarStatus.className = 'text-threat-medium';
+    updateConnectionStatus('connected');
+  }
+}
+
 /**
  * Toggle monitoring mode
  */
@@ -478,11 +612,7 @@ async function toggleMonitoring() {
   if (isMonitoring) {
     // Stop monitoring
     await fetch(`/api/stream/stop`, { method: 'POST' });
-    isMonitoring = false;
-    elements.btnStart.textContent = '[INITIATE WATCH]';
-    elements.radarStatus.textContent = 'STANDBY';
-    elements.radarStatus.className = 'text-threat-medium';
-    updateConnectionStatus('connected');
+    setMonitoringState(false);
     terminal.print('[SYSTEM] Watch mode suspended', 'warning');
   } else {
     // Start monitoring
@@ -492,12 +622,9 @@ async function toggleMonitoring() {
     }
 
     await fetch(`/api/stream/start`, { method: 'POST' });
-    isMonitoring = true;
-    elements.btnStart.textContent = '[SUSPEND WATCH]';
-    elements.radarStatus.textContent = 'ACTIVE';
-    elements.radarStatus.className = 'text-threat-low';
-    updateConnectionStatus('monitoring');
+    setMonitoringState(true);
     terminal.print('[SYSTEM] Watch mode initiated - scanning frequencies...', 'success');
+    terminal.print('[SYSTEM] Watch continues server-side after this console closes', 'info');
   }
 }
 
@@ -536,6 +663,9 @@ function handleSignalIntercepted(signal) {
   terminal.print('║     !!! SIGNAL INTERCEPTED !!!         ║', 'alert');
   terminal.print('╚════════════════════════════════════════╝', 'alert');
   terminal.print(`SOURCE: ${signal.data.targetName}`, 'alert');
+  if (signal.data.item) {
+    terminal.print(`ITEM: ${signal.data.item.title}`, 'alert');
+  }
   terminal.print(`KEYWORDS: ${signal.data.keywords.join(', ')}`, 'alert');
 
   if (signal.data.ai) {
@@ -553,6 +683,76 @@ function handleSignalIntercepted(signal) {
   // playAlertSound();
 }
 
+/**
+ * Print a short diff summary to the terminal
+ * @param {object} diff - { added: string[], removed: string[], stats }
+ */
+function printDiffSummary(diff) {
+  const MAX_LINES = 3;
+  const MAX_LENGTH = 120;
+  const clip = (text) => text.length > MAX_LENGTH ? `${text.substring(0, MAX_LENGTH)}...` : text;
+
+  diff.added.slice(0, MAX_LINES).forEach(segment => terminal.print(`  + ${clip(segment)}`, 'success'));
+  diff.removed.slice(0, MAX_LINES).forEach(segment => terminal.print(`  - ${clip(segment)}`, 'error'));
+
+  const hidden = Math.max(0, diff.stats.added - MAX_LINES) + Math.max(0, diff.stats.removed - MAX_LINES);
+  if (hidden > 0) {
+    terminal.print(`  ... ${hidden} more change(s)`, 'info');
+  }
+}
+
+/**
+ * Render the diff view for the signal modal (XSS-safe)
+ * @param {object|null} diff - { added: string[], removed: string[], stats, truncated }
+ * @returns {string} - HTML
+ */
+function renderDiffView(diff) {
+  if (!diff || (diff.added.length === 0 && diff.removed.length === 0)) return '';
+
+  const added = diff.added.map(segment =>
+    `<div class="text-threat-low"><span class="select-none">+ </span>${escapeHtml(segment)}</div>`
+  );
+  const removed = diff.removed.map(segment =>
+    `<div class="text-threat-high line-through opacity-80"><span class="select-none">- </span>${escapeHtml(segment)}</div>`
+  );
+
+  return `
+    <div>
+      <div class="text-terminal-green-dim text-xs mb-1">
+        CHANGES SINCE LAST SCAN: +${diff.stats.added} / -${diff.stats.removed}${diff.truncated ? ' (truncated)' : ''}
+      </div>
+      <div class="border border-terminal-green-dim p-2 bg-crt-dark max-h-48 overflow-y-auto text-xs whitespace-pre-wrap space-y-1">
+        ${removed.join('')}
+        ${added.join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the feed item block for the signal modal (XSS-safe)
+ * @param {object|null} item - { title, link, publishedAt }
+ * @returns {string} - HTML
+ */
+function renderFeedItem(item) {
+  if (!item) return '';
+
+  const safeTitle = escapeHtml(item.title || '(untitled)');
+  // Only link out to http(s) URLs
+  const safeLink = /^https?:\/\//i.test(item.link || '') ? escapeHtml(item.link) : '';
+  const published = item.publishedAt ? new Date(item.publishedAt).toLocaleString() : 'UNKNOWN';
+
+  return `
+    <div>
+      <div class="text-terminal-green-dim text-xs mb-1">FEED ITEM:</div>
+      <div>${safeLink
+        ? `<a href="${safeLink}" target="_blank" rel="noopener noreferrer" class="underline hover:text-amber-terminal">${safeTitle}</a>`
+        : safeTitle}</div>
+      <div class="text-xs text-terminal-green-dim">PUBLISHED: ${escapeHtml(published)}</div>
+    </div>
+  `;
+}
+
 /**
  * Show signal modal (XSS-safe)
  */
@@ -580,6 +780,8 @@ function showSignalModal(data) {
         <div class="text-xs text-terminal-green-dim">${safeUrl}</div>
       </div>
 
+      ${renderFeedItem(data.item)}
+
       <div class="flex gap-4">
         <div>
           <div class="text-terminal-green-dim text-xs mb-1">THREAT LEVEL:</div>
@@ -610,16 +812,163 @@ function showSignalModal(data) {
         <div class="border border-terminal-green-dim p-2 bg-crt-dark max-h-48 overflow-y-auto text-xs whitespace-pre-wrap">${safeContent}</div>
       </div>
 
+      ${renderDiffView(data.diff)}
+
       <div class="text-xs text-terminal-green-dim">
         TIMESTAMP: ${new Date(data.timestamp).toLocaleString()}
       </div>
+
+      <div id="triage-panel"></div>
     </div>
   `;
 
+  // Demo signals are never stored, so there is nothing to triage
+  if (data.id && !currentSentinel?.demo) {
+    renderTriagePanel({ id: data.id, status: data.status, assignee: data.assignee, notes: data.notes });
+    loadSignalAudit(data.id);
+  }
+
   elements.signalModal.classList.remove('hidden');
   elements.signalModal.classList.add('flex');
 }
 
+// Triage status colors
+const TRIAGE_STATUS_CLASSES = {
+  new: 'text-threat-medium',
+  acknowledged: 'text-terminal-green',
+  dismissed: 'text-terminal-green-dim',
+  escalated: 'text-threat-high'
+};
+
+/**
+ * Render the triage controls for a stored signal (XSS-safe)
+ * @param {{id: string, status?: string, assignee?: string, notes?: string}} signal
+ */
+function renderTriagePanel(signal) {
+  const panel = document.getElementById('triage-panel');
+  if (!panel) return;
+
+  const status = TRIAGE_STATUS_CLASSES[signal.status] ? signal.status : 'new';
+  const actions = [
+    ['acknowledged', '[ACKNOWLEDGE]'],
+    ['dismissed', '[DISMISS]'],
+    ['escalated', '[ESCALATE]'],
+    ['new', '[REOPEN]']
+  ].filter(([value]) => value !== status);
+
+  panel.dataset.signalId = signal.id;
+  panel.innerHTML = `
+    <div class="border border-terminal-green-dim p-2 space-y-2 text-xs">
+      <div class="flex justify-between items-center gap-2">
+        <span class="text-terminal-green-dim">TRIAGE STATUS:</span>
+        <span class="${TRIAGE_STATUS_CLASSES[status]} font-bold">${status.toUpperCase()}</span>
+      </div>
+      <div class="flex gap-2 flex-wrap">
+        ${actions.map(([value, label]) => `
+          <button type="button" data-triage-status="${value}"
+            class="border border-terminal-green-dim px-2 py-0.5 hover:border-terminal-green hover:text-terminal-green-glow">${label}</button>
+        `).join('')}
+      </div>
+      <div>
+        <label class="text-terminal-green-dim block mb-1">ASSIGNEE (CALLSIGN):</label>
+        <input type="text" id="triage-assignee" maxlength="20" value="${escapeHtml(signal.assignee || '')}"
+          class="w-full bg-transparent border border-terminal-green-dim px-2 py-1 focus:border-terminal-green focus:outline-none">
+      </div>
+      <div>
+        <label class="text-terminal-green-dim block mb-1">NOTES:</label>
+        <textarea id="triage-notes" rows="2" maxlength="2000"
+          class="w-full bg-transparent border border-terminal-green-dim px-2 py-1 focus:border-terminal-green focus:outline-none">${escapeHtml(signal.notes || '')}</textarea>
+      </div>
+      <button type="button" id="btn-save-triage"
+        class="w-full border border-terminal-green py-1 hover:bg-terminal-green hover:text-crt-black transition-colors">[SAVE DETAILS]</button>
+      <div>
+        <div class="text-terminal-green-dim mb-1">AUDIT TRAIL:</div>
+        <div id="triage-audit" class="space-y-1 text-terminal-green-dim">LOADING...</div>
+      </div>
+    </div>
+  `;
+
+  // Bound here rather than inline: the CSP blocks inline event handlers
+  panel.querySelectorAll('[data-triage-status]').forEach(button => {
+    button.addEventListener('click', () => {
+      updateTriage(panel.dataset.signalId, { status: button.dataset.triageStatus });
+    });
+  });
+  panel.querySelector('#btn-save-triage').addEventListener('click', () => {
+    updateTriage(panel.dataset.signalId, {
+      assignee: panel.querySelector('#triage-assignee').value.trim(),
+      notes: panel.querySelector('#triage-notes').value
+    });
+  });
+}
+
+/**
+ * Load a signal's triage history into the open modal
+ * @param {string} id - Signal ID
+ */
+async function loadSignalAudit(id) {
+  const container = document.getElementById('triage-audit');
+
+  try {
+    const response = await fetch(`/api/signals/${encodeURIComponent(id)}/audit`);
+    const result = await response.json();
+    if (!container || !document.body.contains(container)) return;
+
+    if (!result.success) {
+      container.textContent = `[ERROR] ${result.error}`;
+      return;
+    }
+    if (result.data.length === 0) {
+      container.textContent = 'NO CHANGES ON RECORD';
+      return;
+    }
+
+    container.innerHTML = result.data.map(entry => {
+      const changes = Object.entries(entry.changes || {}).map(([field, { from, to }]) =>
+        `${field.toUpperCase()}: ${from ?? '-'} → ${to ?? '-'}`
+      ).join('; ');
+      return `<div>${escapeHtml(new Date(entry.created_at).toLocaleString())} ${escapeHtml(entry.actor)} - ${escapeHtml(changes)}</div>`;
+    }).join('');
+  } catch (error) {
+    if (container) container.textContent = `[ERROR] ${error.message}`;
+  }
+}
+
+/**
+ * Send triage changes for a signal and refresh the modal and archive
+ * @param {string} id - Signal ID
+ * @param {object} updates - status, assignee and/or notes
+ */
+async function updateTriage(id, updates) {
+  try {
+    const response = await fetch(`/api/signals/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      terminal.print(`[ERROR] ${result.error}`, 'error');
+      return;
+    }
+
+    const signal = result.data;
+    terminal.print(`[TRIAGE] Signal marked ${(signal.status || 'new').toUpperCase()}`, 'info');
+
+    const index = archiveSignals.findIndex(s => s.id === id);
+    if (index !== -1) {
+      archiveSignals[index] = { ...archiveSignals[index], ...signal };
+      renderArchive();
+    }
+
+    renderTriagePanel(signal);
+    loadSignalAudit(id);
+  } catch (error) {
+    terminal.print(`[ERROR] ${error.message}`, 'error');
+  }
+}
+
 /**
  * Close signal modal
  */
@@ -628,6 +977,171 @@ function closeSignalModal() {
   elements.signalModal.classList.remove('flex');
 }
 
+/**
+ * Load the number of stored signals into the status bar
+ */
+async function loadSignalCount() {
+  try {
+    const response = await fetch('/api/signals/count');
+    const result = await response.json();
+
+    if (result.success) {
+      signalCount = result.data.total;
+      elements.signalCount.textContent = signalCount;
+    }
+  } catch (error) {
+    terminal.print(`[ERROR] Failed to load signal count: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the signal archive and load the first page
+ */
+function openArchive() {
+  // Refresh the frequency filter from the current target list
+  const selected = elements.archiveTarget.value;
+  elements.archiveTarget.innerHTML = '<option value="">ALL</option>' + targets.map(target =>
+    `<option value="${escapeHtml(target.id)}">${escapeHtml(target.name || target.url)}</option>`
+  ).join('');
+  elements.archiveTarget.value = targets.some(t => t.id === selected) ? selected : '';
+
+  elements.archiveModal.classList.remove('hidden');
+  elements.archiveModal.classList.add('flex');
+  loadArchive();
+}
+
+/**
+ * Close the signal archive
+ */
+function closeArchive() {
+  elements.archiveModal.classList.add('hidden');
+  elements.archiveModal.classList.remove('flex');
+}
+
+/**
+ * Build the archive query string from the filter form
+ * @returns {URLSearchParams}
+ */
+function getArchiveQuery() {
+  const params = new URLSearchParams();
+  const search = elements.archiveSearch.value.trim();
+  const keyword = elements.archiveKeyword.value.trim();
+
+  if (search) params.set('search', search);
+  if (keyword) params.set('keyword', keyword);
+  if (elements.archiveTarget.value) params.set('target_id', elements.archiveTarget.value);
+  if (elements.archiveThreat.value) params.set('threat_level', elements.archiveThreat.value);
+  if (elements.archiveStatusFilter.value) params.set('status', elements.archiveStatusFilter.value);
+  // Date inputs are local days; the range covers the whole "to" day
+  if (elements.archiveFrom.value) {
+    params.set('from', new Date(`${elements.archiveFrom.value}T00:00:00`).toISOString());
+  }
+  if (elements.archiveTo.value) {
+    params.set('to', new Date(`${elements.archiveTo.value}T23:59:59.999`).toISOString());
+  }
+  return params;
+}
+
+/**
+ * Load a page of archived signals
+ * @param {object} [options]
+ * @param {boolean} [options.append] - Load the next page instead of starting over
+ */
+async function loadArchive({ append = false } = {}) {
+  const params = getArchiveQuery();
+  if (append && archiveCursor) params.set('cursor', archiveCursor);
+
+  elements.btnArchiveMore.disabled = true;
+  elements.archiveStatus.textContent = 'SEARCHING ARCHIVE...';
+
+  try {
+    const response = await fetch(`/api/signals?${params}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      elements.archiveStatus.textContent = `[ERROR] ${result.error}`;
+      return;
+    }
+
+    archiveSignals = append ? [...archiveSignals, ...result.data] : result.data;
+    archiveCursor = result.nextCursor || null;
+    renderArchive();
+  } catch (error) {
+    elements.archiveStatus.textContent = `[ERROR] ${error.message}`;
+  } finally {
+    elements.btnArchiveMore.disabled = false;
+  }
+}
+
+/**
+ * Render the archived signal list (XSS-safe)
+ */
+function renderArchive() {
+  const validThreatLevels = ['low', 'medium', 'high', 'critical'];
+
+  elements.archiveList.innerHTML = archiveSignals.map(signal => {
+    const level = (signal.ai_threat_level || 'UNKNOWN').toLowerCase();
+    const threatClass = validThreatLevels.includes(level) ? `threat-${level}` : 'text-terminal-green-dim';
+    const source = signal.watch_targets?.name || signal.watch_targets?.url || signal.source_url || '';
+    const headline = signal.item_title || signal.ai_summary || (signal.matched_keywords || []).join(', ');
+    const status = TRIAGE_STATUS_CLASSES[signal.status] ? signal.status : 'new';
+
+    return `
+    <button type="button" data-signal-id="${escapeHtml(signal.id)}"
+      class="w-full text-left border border-terminal-green-dim/50 px-2 py-1 hover:border-terminal-green hover:bg-terminal-green/5">
+      <div class="flex justify-between gap-2">
+        <span class="truncate">${escapeHtml(source)}</span>
+        <span class="flex-shrink-0">
+          <span class="${TRIAGE_STATUS_CLASSES[status]}">${status.toUpperCase()}</span>
+          <span class="${threatClass}">${escapeHtml(signal.ai_threat_level || 'UNKNOWN')}</span>
+        </span>
+      </div>
+      <div class="flex justify-between gap-2 text-terminal-green-dim">
+        <span class="truncate">${escapeHtml(headline)}</span>
+        <span class="flex-shrink-0">${escapeHtml(new Date(signal.intercepted_at).toLocaleString())}</span>
+      </div>
+    </button>
+  `;
+  }).join('');
+
+  if (archiveSignals.length === 0) {
+    elements.archiveStatus.textContent = 'NO SIGNALS ON RECORD';
+  } else {
+    elements.archiveStatus.textContent = `${archiveSignals.length} SIGNAL(S) RETRIEVED${archiveCursor ? '' : ' - END OF ARCHIVE'}`;
+  }
+  elements.btnArchiveMore.classList.toggle('hidden', !archiveCursor);
+}
+
+/**
+ * Open an archived signal in the signal modal
+ * @param {string} id - Signal ID
+ */
+function openArchivedSignal(id) {
+  const signal = archiveSignals.find(s => s.id === id);
+  if (!signal) return;
+
+  // Stored rows use column names; the modal takes the live event shape
+  showSignalModal({
+    id: signal.id,
+    targetName: signal.watch_targets?.name || signal.watch_targets?.url || '',
+    url: signal.source_url,
+    keywords: signal.matched_keywords || [],
+    content: signal.content,
+    ai: {
+      threat_level: signal.ai_threat_level,
+      category: signal.ai_category,
+      summary: signal.ai_summary
+    },
+    item: signal.item_title || signal.item_link
+      ? { title: signal.item_title, link: signal.item_link, publishedAt: signal.item_published_at }
+      : null,
+    timestamp: signal.intercepted_at,
+    status: signal.status,
+    assignee: signal.assignee,
+    notes: signal.notes
+  });
+}
+
 /**
  * Open help modal
  */
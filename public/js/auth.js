@@ -83,6 +83,30 @@ export async function register(callsign, passcode) {
   }
 }
 
+/**
+ * Enter a sandboxed demo session
+ * @returns {Promise<{success: boolean, error?: string, sentinel?: object}>}
+ */
+export async function enterDemo() {
+  try {
+    const response = await fetch('/api/auth/demo', {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      currentSentinel = data.sentinel;
+      return { success: true, sentinel: data.sentinel };
+    }
+
+    return { success: false, error: data.message || '模擬模式啟動失敗' };
+  } catch (error) {
+    console.error('Demo error:', error);
+    return { success: false, error: '連線失敗，請稍後再試' };
+  }
+}
+
 /**
  * Logout current sentinel
  * @returns {Promise<boolean>}
@@ -124,6 +148,7 @@ export function initAuthUI(onAuthSuccess) {
   const authError = document.getElementById('auth-error');
   const btnLogin = document.getElementById('btn-login');
   const btnRegister = document.getElementById('btn-register');
+  const btnDemo = document.getElementById('btn-demo');
 
   // Register form elements
   const regCallsign = document.getElementById('reg-callsign');
@@ -195,6 +220,26 @@ export function initAuthUI(onAuthSuccess) {
     }
   });
 
+  // Handle demo mode
+  btnDemo.addEventListener('click', async () => {
+    hideError(authError);
+
+    btnDemo.disabled = true;
+    const result = await enterDemo();
+    btnDemo.disabled = false;
+
+    if (result.success) {
+      authScreen.style.transition = 'opacity 0.5s';
+      authScreen.style.opacity = '0';
+      setTimeout(() => {
+        authScreen.style.display = 'none';
+        onAuthSuccess(result.sentinel);
+      }, 500);
+    } else {
+      showError(authError, result.error);
+    }
+  });
+
   // Handle register
   registerForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -17,7 +17,15 @@ import { dirname, join } from 'path';
 // Routes
 import { router as targetsRouter } from './routes/targets.js';
 import { router as streamRouter } from './routes/stream.js';
-import { router as authRouter, requireAuth } from './routes/auth.js';
+import { router as authRouter, requireAuth, requireAdmin } from './routes/auth.js';
+import { router as profilesRouter, loadProfiles } from './routes/profiles.js';
+import { router as signalsRouter } from './routes/signals.js';
+import { sandboxTargets, sandboxSignals } from './lib/demo.js';
+
+// Signal Engine
+import { resumeMonitoring, startBackgroundMonitoring } from './lib/signal.js';
+import { STORAGE_BACKEND } from './lib/storage.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
 
 // Swagger API Documentation
 import { setupSwagger } from './swagger.js';
@@ -30,13 +38,18 @@ const __dirname = dirname(__filename);
 // ============================================
 const isProduction = process.env.NODE_ENV === 'production';
 
-// Required: INSFORGE_ANON_KEY
-if (!process.env.INSFORGE_ANON_KEY) {
+// Required: INSFORGE_ANON_KEY (unless data is stored locally)
+if (STORAGE_BACKEND === 'insforge' && !process.env.INSFORGE_ANON_KEY) {
   console.error('❌ MISSING ENV: INSFORGE_ANON_KEY is required');
   console.error('   Get your anon key from InsForge dashboard');
+  console.error('   Or set STORAGE_BACKEND=file to run without InsForge');
   process.exit(1);
 }
 
+if (STORAGE_BACKEND === 'file') {
+  console.log(`[STORAGE] Using local file storage${process.env.INSFORGE_ANON_KEY ? '' : ' (AI analysis disabled)'}`);
+}
+
 // Warn in production if SESSION_SECRET is not set
 if (isProduction && !process.env.SESSION_SECRET) {
   console.warn('⚠️  WARNING: SESSION_SECRET not set in production');
@@ -60,6 +73,20 @@ for (const asset of requiredAssets) {
   }
 }
 
+// ============================================
+// Schema Check: Refuse to run against an outdated database
+// ============================================
+if (STORAGE_BACKEND === 'insforge') {
+  try {
+    const { schema } = await import('./lib/insforge.js');
+    assertSchemaCurrent(await schema.getAppliedVersions());
+  } catch (error) {
+    console.error(`❌ DATABASE SCHEMA: ${error.message}`);
+    console.error('   Run: npm run migrate');
+    process.exit(1);
+  }
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -183,13 +210,17 @@ app.use(express.static(join(__dirname, '../public')));
 // API Routes with specific rate limiters
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/demo', authLimiter);
 app.use('/api/auth', authRouter);
 
 app.post('/api/targets', targetCreateLimiter, requireAuth); // Rate limit target creation
-app.use('/api/targets', requireAuth, targetsRouter);
+app.use('/api/targets', requireAuth, sandboxTargets, targetsRouter);
+app.use('/api/signals', requireAuth, sandboxSignals, signalsRouter);
 
 app.post('/api/stream/scan', scanLimiter); // Rate limit manual scans
-app.use('/api/stream', streamRouter); // SSE needs custom auth handling
+app.use('/api/stream', requireAuth, streamRouter); // Session cookie is sent with EventSource
+
+app.use('/api/admin/profiles', requireAuth, requireAdmin, profilesRouter);
 
 // Swagger API Documentation (available at /api-docs)
 setupSwagger(app);
@@ -235,6 +266,14 @@ app.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+
+  // Load custom domain profiles before the first scan (built-ins still apply if this fails),
+  // restore sessions that were running before the restart, then keep
+  // watching targets even when no console is connected
+  loadProfiles()
+    .catch(error => console.error('[PROFILE] Failed to load domain profiles:', error.message))
+    .then(() => resumeMonitoring())
+    .then(() => startBackgroundMonitoring());
 });
 
 export default app;
@@ -0,0 +1,152 @@
+/**
+ * Event Broadcast Hub
+ * Decouples the signal engine from SSE connections
+ */
+
+// Max undelivered signals kept per user while no client is connected
+const MAX_PENDING_SIGNALS = 50;
+
+// Recent events kept per user for Last-Event-ID replay
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 200;
+
+// Monotonic event ID, seeded from the clock so IDs keep increasing across restarts
+let lastEventId = Date.now();
+
+// User ID -> Set of send(type, data, id), one per open connection
+const listeners = new Map();
+
+// User ID -> signal events published while nobody was listening
+const pendingSignals = new Map();
+
+// User ID -> ring buffer of recent events ({ id, type, data })
+const eventBuffers = new Map();
+
+// User ID -> ID of the newest event pushed out of that user's ring buffer.
+// Event IDs are shared by all users, so a user's own IDs are not consecutive.
+const evictedIds = new Map();
+
+/**
+ * Append an event to a user's ring buffer
+ * @param {string} userId - User ID
+ * @param {object} event - { id, type, data }
+ */
+function bufferEvent(userId, event) {
+  const buffer = eventBuffers.get(userId) || [];
+  buffer.push(event);
+  if (buffer.length > EVENT_BUFFER_SIZE) evictedIds.set(userId, buffer.shift().id);
+  eventBuffers.set(userId, buffer);
+}
+
+/**
+ * Collect the events a reconnecting client missed
+ * @param {string} userId - User ID
+ * @param {number|null} sinceId - Last event ID the client saw (null = fresh connect)
+ * @returns {{events: object[], gap: boolean}} - Events in ID order; gap = some were evicted
+ */
+export function getMissedEvents(userId, sinceId = null) {
+  const byId = new Map();
+
+  // Signals that were never delivered to anyone
+  for (const event of pendingSignals.get(userId) || []) {
+    if (sinceId === null || event.id > sinceId) byId.set(event.id, event);
+  }
+
+  let gap = false;
+  if (sinceId !== null) {
+    const buffer = eventBuffers.get(userId) || [];
+    for (const event of buffer) {
+      if (event.id > sinceId) byId.set(event.id, event);
+    }
+    // An event the client never saw has already been evicted
+    gap = (evictedIds.get(userId) ?? -Infinity) > sinceId;
+  }
+
+  const events = [...byId.values()].sort((a, b) => a.id - b.id);
+  return { events, gap };
+}
+
+/**
+ * Register a live client for a user (a user may have several open)
+ * Missed events are replayed before live delivery starts: everything after
+ * `sinceId` when the client resumes with Last-Event-ID, otherwise the
+ * signals intercepted while the user was offline.
+ * @param {string} userId - User ID
+ * @param {function(string, object, number): void} send - Writes one event to the client
+ * @param {number|null} [sinceId] - Last event ID the client saw
+ * @returns {function(): void} - Unsubscribe
+ */
+export function subscribe(userId, send, sinceId = null) {
+  const { events, gap } = getMissedEvents(userId, sinceId);
+  pendingSignals.delete(userId);
+
+  if (gap) {
+    send('status', {
+      message: 'EVENT BUFFER OVERRUN - SOME TRANSMISSIONS LOST',
+      timestamp: new Date().toISOString()
+    });
+  }
+  for (const event of events) {
+    send(event.type, event.data, event.id);
+  }
+
+  if (!listeners.has(userId)) listeners.set(userId, new Set());
+  listeners.get(userId).add(send);
+
+  return () => {
+    const userListeners = listeners.get(userId);
+    if (!userListeners) return;
+    userListeners.delete(send);
+    if (userListeners.size === 0) listeners.delete(userId);
+  };
+}
+
+/**
+ * Publish an event to every client a user has connected
+ * Every event gets an ID and is kept in the user's ring buffer. Signals are
+ * also held for later delivery when no client is connected.
+ * @param {string} userId - User ID
+ * @param {string} type - SSE event type
+ * @param {object} data - Event payload
+ * @returns {number} - Event ID
+ */
+export function publish(userId, type, data) {
+  const event = { id: ++lastEventId, type, data };
+  bufferEvent(userId, event);
+
+  const userListeners = listeners.get(userId);
+  if (userListeners) {
+    for (const send of userListeners) {
+      send(type, data, event.id);
+    }
+    return event.id;
+  }
+
+  if (type === 'signal') {
+    const pending = pendingSignals.get(userId) || [];
+    pending.push(event);
+    if (pending.length > MAX_PENDING_SIGNALS) pending.shift();
+    pendingSignals.set(userId, pending);
+  }
+
+  return event.id;
+}
+
+/**
+ * Drop everything kept for a user (buffered and undelivered events)
+ * For identities that will never reconnect, such as abandoned demo sessions.
+ * @param {string} userId - User ID
+ */
+export function clearEvents(userId) {
+  eventBuffers.delete(userId);
+  evictedIds.delete(userId);
+  pendingSignals.delete(userId);
+}
+
+/**
+ * Count the clients a user has connected
+ * @param {string} userId - User ID
+ * @returns {number}
+ */
+export function getListenerCount(userId) {
+  return listeners.get(userId)?.size || 0;
+}
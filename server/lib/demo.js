@@ -0,0 +1,248 @@
+/**
+ * Demo Sandbox
+ * Canned targets and simulated signals for demo sessions.
+ * Demo identities never reach the database or the scraper.
+ */
+
+import crypto from 'crypto';
+import { publish, getListenerCount, clearEvents } from './broadcast.js';
+import { generateNoise } from './scraper.js';
+
+// Demo identities are prefixed so they can never collide with real sentinel UUIDs
+const DEMO_ID_PREFIX = 'demo-';
+
+// Simulated scan cadence
+const DEMO_TICK = 15000;
+const DEMO_SIGNAL_CHANCE = 0.25;
+
+// How long a demo's watch and buffered events outlive its last open console.
+// Every demo login is a new identity, so an abandoned one is never resumed.
+const DEMO_IDLE_TIMEOUT = 60 * 1000;
+
+// Canned targets shown to every demo session
+const DEMO_TARGETS = [
+  {
+    id: 'demo-target-hn',
+    name: 'HackerNews Feed',
+    url: 'https://news.ycombinator.com',
+    keywords: ['AI', 'GPT'],
+    check_interval: 60,
+    is_active: true
+  },
+  {
+    id: 'demo-target-survivors',
+    name: 'Survivor Relay 147.3 MHz',
+    url: 'https://example.com/relay',
+    keywords: ['生存者', '物資'],
+    check_interval: 300,
+    is_active: true
+  },
+  {
+    id: 'demo-target-bunker',
+    name: 'Bunker Bulletin Board',
+    url: 'https://example.org/bunker',
+    keywords: ['救援'],
+    check_interval: 3600,
+    is_active: true
+  }
+];
+
+// Canned intercepts, picked at random
+const DEMO_SIGNALS = [
+  {
+    targetId: 'demo-target-hn',
+    keywords: ['AI'],
+    content: '...New open-weight AI model claims to run entirely offline on salvaged hardware...',
+    ai: { summary: '離線 AI 模型釋出，可於廢棄硬體運行', threat_level: 'LOW', category: '科技' }
+  },
+  {
+    targetId: 'demo-target-survivors',
+    keywords: ['生存者', '物資'],
+    content: '...北區倉庫發現 12 名生存者，物資僅剩三天份量，請求支援...',
+    ai: { summary: '北區生存者物資短缺，請求支援', threat_level: 'HIGH', category: '求救' }
+  },
+  {
+    targetId: 'demo-target-bunker',
+    keywords: ['救援'],
+    content: '...救援隊將於黎明前抵達東側閘門，請保持無線電靜默...',
+    ai: { summary: '救援隊黎明抵達東側閘門', threat_level: 'MEDIUM', category: '行動' }
+  }
+];
+
+// Demo user ID -> simulated monitoring interval
+const demoSessions = new Map();
+
+// Demo user ID -> pending idle release (see scheduleDemoRelease)
+const demoReleases = new Map();
+
+/**
+ * Create a fresh sandboxed demo identity
+ * @returns {{id: string, callsign: string}}
+ */
+export function createDemoIdentity() {
+  return {
+    id: `${DEMO_ID_PREFIX}${crypto.randomUUID()}`,
+    callsign: 'DEMO'
+  };
+}
+
+/**
+ * Check whether a user ID belongs to a demo session
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+export function isDemoUser(userId) {
+  return typeof userId === 'string' && userId.startsWith(DEMO_ID_PREFIX);
+}
+
+/**
+ * Get the canned demo targets
+ * @returns {object[]}
+ */
+export function getDemoTargets() {
+  return DEMO_TARGETS.map(target => ({ ...target }));
+}
+
+/**
+ * Publish one simulated scan pass
+ * @param {string} userId - Demo user ID
+ * @param {object} [options]
+ * @param {boolean} [options.forceSignal] - Always intercept a signal
+ */
+function simulatePass(userId, { forceSignal = false } = {}) {
+  const scan = (content) => publish(userId, 'scan', { content, timestamp: new Date().toISOString() });
+
+  for (const target of DEMO_TARGETS) {
+    scan(`[SCAN] ${target.name} - No change detected`);
+  }
+
+  if (forceSignal || Math.random() < DEMO_SIGNAL_CHANCE) {
+    const canned = DEMO_SIGNALS[Math.floor(Math.random() * DEMO_SIGNALS.length)];
+    const target = DEMO_TARGETS.find(t => t.id === canned.targetId);
+
+    publish(userId, 'signal', {
+      type: 'SIGNAL_INTERCEPTED',
+      data: {
+        id: `demo-signal-${Date.now()}`,
+        targetName: target.name,
+        url: target.url,
+        keywords: canned.keywords,
+        content: canned.content,
+        ai: canned.ai,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  scan(generateNoise());
+}
+
+/**
+ * Release a demo identity once no console is connected
+ * Checked DEMO_IDLE_TIMEOUT after the last console closes (or after activity
+ * without one), so a reload or SSE reconnect keeps the session.
+ * @param {string} userId - Demo user ID
+ */
+export function scheduleDemoRelease(userId) {
+  clearTimeout(demoReleases.get(userId));
+
+  const timeout = setTimeout(() => {
+    demoReleases.delete(userId);
+    if (getListenerCount(userId) > 0) return; // Closing that console reschedules
+
+    stopDemoMonitoring(userId);
+    clearEvents(userId);
+    console.log(`[DEMO] Released idle demo session: ${userId}`);
+  }, DEMO_IDLE_TIMEOUT);
+  timeout.unref?.();
+  demoReleases.set(userId, timeout);
+}
+
+/**
+ * Start simulated monitoring for a demo session
+ * @param {string} userId - Demo user ID
+ * @returns {string} - Session ID
+ */
+export function startDemoMonitoring(userId) {
+  stopDemoMonitoring(userId);
+
+  const interval = setInterval(() => simulatePass(userId), DEMO_TICK);
+  demoSessions.set(userId, interval);
+  // Started without a console (or its console never connects): don't run forever
+  scheduleDemoRelease(userId);
+
+  return `demo_session_${Date.now()}`;
+}
+
+/**
+ * Stop simulated monitoring for a demo session
+ * @param {string} userId - Demo user ID
+ */
+export function stopDemoMonitoring(userId) {
+  const interval = demoSessions.get(userId);
+  if (interval) {
+    clearInterval(interval);
+    demoSessions.delete(userId);
+  }
+}
+
+/**
+ * Get simulated monitoring status
+ * @param {string} userId - Demo user ID
+ * @returns {object}
+ */
+export function getDemoStatus(userId) {
+  return {
+    isActive: demoSessions.has(userId),
+    sessionId: null,
+    isScanning: false,
+    demo: true
+  };
+}
+
+/**
+ * Run a simulated manual scan (always intercepts one signal)
+ * @param {string} userId - Demo user ID
+ */
+export function demoScan(userId) {
+  publish(userId, 'scan', { content: '[MANUAL SCAN INITIATED]', timestamp: new Date().toISOString() });
+  simulatePass(userId, { forceSignal: true });
+  publish(userId, 'scan', { content: '[MANUAL SCAN COMPLETE]', timestamp: new Date().toISOString() });
+  scheduleDemoRelease(userId);
+}
+
+/**
+ * Middleware: sandbox target routes for demo sessions
+ * Reads return canned data; writes are rejected.
+ */
+export function sandboxTargets(req, res, next) {
+  if (!req.session.isDemo) return next();
+
+  if (req.method === 'GET' && req.path === '/') {
+    return res.json({ success: true, data: getDemoTargets() });
+  }
+  if (req.method === 'GET') {
+    return res.json({ success: true, data: [] });
+  }
+
+  res.status(403).json({ success: false, error: 'Demo mode is read-only' });
+}
+
+/**
+ * Middleware: sandbox signal archive routes for demo sessions
+ * Demo signals are never stored, so the archive is empty and triage is rejected.
+ */
+export function sandboxSignals(req, res, next) {
+  if (!req.session.isDemo) return next();
+
+  if (req.method !== 'GET') {
+    return res.status(403).json({ success: false, error: 'Demo mode is read-only' });
+  }
+  if (req.path === '/count') {
+    return res.json({ success: true, data: { total: 0 } });
+  }
+  if (req.path === '/') {
+    return res.json({ success: true, data: [], nextCursor: null });
+  }
+  res.json({ success: true, data: [] });
+}
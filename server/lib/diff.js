@@ -0,0 +1,177 @@
+/**
+ * Diff Engine
+ * Segment-level text diff between two scans (Myers algorithm)
+ */
+
+// Diff limits
+const MAX_SEGMENT_LENGTH = 200;      // Long sentences are split into chunks of this size
+const MAX_EDIT_DISTANCE = 1000;      // Give up on a precise diff beyond this many edits
+const MAX_DIFF_SEGMENTS = 20;        // Max added/removed segments reported
+const MAX_REPORTED_LENGTH = 500;     // Max characters per reported segment
+
+/**
+ * Split extracted page text into comparable segments
+ * Sentences (Latin and CJK punctuation), with long runs chunked at word boundaries
+ * @param {string} text - Extracted page text
+ * @returns {string[]}
+ */
+export function segmentText(text) {
+  if (!text) return [];
+
+  const sentences = text
+    .split(/(?<=[.!?。！？；;])\s*/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  const segments = [];
+  for (const sentence of sentences) {
+    if (sentence.length <= MAX_SEGMENT_LENGTH) {
+      segments.push(sentence);
+      continue;
+    }
+
+    // Chunk long runs at the last space before the limit (or hard-cut for CJK)
+    let rest = sentence;
+    while (rest.length > MAX_SEGMENT_LENGTH) {
+      let cut = rest.lastIndexOf(' ', MAX_SEGMENT_LENGTH);
+      if (cut <= 0) cut = MAX_SEGMENT_LENGTH;
+      segments.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+    if (rest) segments.push(rest);
+  }
+
+  return segments;
+}
+
+/**
+ * Myers shortest edit script between two segment arrays
+ * @param {string[]} a - Old segments
+ * @param {string[]} b - New segments
+ * @returns {Array<{type: string, value: string}>|null} - Ops, or null when over MAX_EDIT_DISTANCE
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk the Myers trace back into an edit script
+ */
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diff two extracted texts
+ * @param {string} oldText - Text from the previous snapshot
+ * @param {string} newText - Text from the current scan
+ * @returns {{added: string[], removed: string[], stats: {added: number, removed: number}, truncated: boolean}}
+ */
+export function diffText(oldText, newText) {
+  const a = segmentText(oldText);
+  const b = segmentText(newText);
+
+  // Trim the common prefix and suffix before running the full diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Too many edits: report the whole changed region coarsely
+  const ops = myers(midA, midB) || [
+    ...midA.map(value => ({ type: 'removed', value })),
+    ...midB.map(value => ({ type: 'added', value }))
+  ];
+
+  // Merge runs of the same type into one reported segment
+  const added = [];
+  const removed = [];
+  let previousType = 'equal';
+  for (const op of ops) {
+    if (op.type !== 'equal') {
+      const list = op.type === 'added' ? added : removed;
+      if (previousType === op.type && list.length > 0) {
+        list[list.length - 1] += ` ${op.value}`;
+      } else {
+        list.push(op.value);
+      }
+    }
+    previousType = op.type;
+  }
+
+  const clip = list => list
+    .slice(0, MAX_DIFF_SEGMENTS)
+    .map(segment => segment.length > MAX_REPORTED_LENGTH
+      ? segment.substring(0, MAX_REPORTED_LENGTH) + '...'
+      : segment);
+
+  return {
+    added: clip(added),
+    removed: clip(removed),
+    stats: { added: added.length, removed: removed.length },
+    truncated: added.length > MAX_DIFF_SEGMENTS || removed.length > MAX_DIFF_SEGMENTS
+  };
+}
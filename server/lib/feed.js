@@ -0,0 +1,145 @@
+/**
+ * Feed Reader
+ * Parses RSS 2.0 / Atom feeds and matches keywords per item
+ */
+
+import { load } from 'cheerio';
+import crypto from 'crypto';
+import { fetchDocument } from './scraper.js';
+import { compileKeyword } from './query.js';
+
+// Feed limits
+export const MAX_SEEN_GUIDS = 500;   // Remembered item IDs per target
+const MAX_FEED_ITEMS = 200;          // Items read from one feed
+const MAX_ITEM_CONTENT = 1000;       // Characters of item text kept on a signal
+const MAX_ITEM_SIGNALS = 10;         // Signals raised per scan (e.g. the first scan of a busy feed)
+
+/**
+ * Strip markup from an item field (descriptions are often escaped HTML)
+ * @param {string} value - Raw field text
+ * @returns {string}
+ */
+function toPlainText(value) {
+  if (!value) return '';
+  return load(value).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a publish date into ISO format
+ * @param {string} value - RFC 822 (RSS) or ISO 8601 (Atom) date
+ * @returns {string|null}
+ */
+function toIsoDate(value) {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Feed body
+ * @returns {Array<{guid: string, title: string, link: string|null, publishedAt: string|null, text: string}>}
+ * @throws {Error} - If the document is not a feed
+ */
+export function parseFeed(xml) {
+  const $ = load(xml, { xml: true });
+  const items = [];
+
+  if ($('rss, rdf\\:RDF').length > 0) {
+    $('item').slice(0, MAX_FEED_ITEMS).each((_, element) => {
+      const item = $(element);
+      const title = toPlainText(item.children('title').text());
+      const link = item.children('link').text().trim() || null;
+      const body = item.children('content\\:encoded').text() || item.children('description').text();
+
+      items.push({
+        guid: item.children('guid').text().trim() || link || title,
+        title,
+        link,
+        publishedAt: toIsoDate(item.children('pubDate').text().trim() || item.children('dc\\:date').text().trim()),
+        text: toPlainText(body)
+      });
+    });
+  } else if ($('feed').length > 0) {
+    $('entry').slice(0, MAX_FEED_ITEMS).each((_, element) => {
+      const entry = $(element);
+      const links = entry.children('link');
+      const alternate = links.filter((_, el) => ($(el).attr('rel') || 'alternate') === 'alternate').first();
+      const link = (alternate.length ? alternate : links.first()).attr('href') || null;
+      const title = toPlainText(entry.children('title').text());
+
+      items.push({
+        guid: entry.children('id').text().trim() || link || title,
+        title,
+        link,
+        publishedAt: toIsoDate(entry.children('published').text().trim() || entry.children('updated').text().trim()),
+        text: toPlainText(entry.children('content').text() || entry.children('summary').text())
+      });
+    });
+  } else {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  return items.filter(item => item.guid);
+}
+
+/**
+ * Match keywords against unseen feed items
+ * @param {object[]} items - Parsed feed items
+ * @param {string[]} keywords - Keywords to search for
+ * @param {string[]|null} seenGuids - Item IDs already processed
+ * @returns {{matches: Array<{item: object, keywords: string[], content: string}>, newCount: number, skipped: number, seenGuids: string[]}}
+ *   Matches beyond MAX_ITEM_SIGNALS are counted in `skipped` and still marked as seen.
+ */
+export function matchFeedItems(items, keywords, seenGuids) {
+  const seen = new Set(seenGuids || []);
+  const matchers = keywords.map(compileKeyword);
+  const fresh = items.filter(item => !seen.has(item.guid));
+  const matches = [];
+
+  for (const item of fresh) {
+    const text = `${item.title} ${item.text}`;
+    const matched = matchers.filter(matcher => matcher.test(text)).map(matcher => matcher.keyword);
+    if (matched.length === 0) continue;
+
+    matches.push({
+      item,
+      keywords: matched,
+      content: text.substring(0, MAX_ITEM_CONTENT)
+    });
+  }
+
+  // Newest IDs first so the oldest fall off when the list is capped
+  const updatedGuids = [...new Set([...fresh.map(item => item.guid), ...(seenGuids || [])])]
+    .slice(0, MAX_SEEN_GUIDS);
+
+  return {
+    matches: matches.slice(0, MAX_ITEM_SIGNALS),
+    newCount: fresh.length,
+    skipped: Math.max(0, matches.length - MAX_ITEM_SIGNALS),
+    seenGuids: updatedGuids
+  };
+}
+
+/**
+ * Fetch a feed and find keyword matches in items not seen before
+ * @param {string} url - Feed URL
+ * @param {string[]} keywords - Keywords to search for
+ * @param {string[]|null} seenGuids - Item IDs already processed
+ * @param {object} [validators] - ETag / Last-Modified, see fetchDocument
+ * @returns {Promise<{matches: object[], newCount: number, skipped: number, seenGuids: string[], hash: string|null, notModified: boolean, http: object}>}
+ */
+export async function checkFeed(url, keywords, seenGuids, validators = {}) {
+  const { body, notModified, ...http } = await fetchDocument(url, validators);
+  if (notModified) {
+    return { matches: [], newCount: 0, skipped: 0, seenGuids, hash: null, notModified, http };
+  }
+
+  const items = parseFeed(body);
+
+  // The feed "changes" when its set of items changes
+  const hash = crypto.createHash('sha256')
+    .update(items.map(item => item.guid).join('\n'))
+    .digest('hex');
+
+  return { ...matchFeedItems(items, keywords, seenGuids), hash, notModified, http };
+}
@@ -0,0 +1,380 @@
+/**
+ * File Storage Adapter
+ * Keeps every table in a JSON file under DATA_DIR, so the sentinel runs
+ * on one machine with no external service (STORAGE_BACKEND=file).
+ *
+ * Tables are loaded on first use and held in memory; each change rewrites
+ * the table file (temp file + rename, so a crash never leaves half a file).
+ * Meant for a single server process and personal-sized data.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { join, resolve } from 'path';
+import { matchesHistoryFilters } from './history.js';
+
+const DATA_DIR = resolve(process.env.DATA_DIR || 'data');
+
+/**
+ * Current time as an ISO string (column default)
+ * @returns {string}
+ */
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Comparator for newest-first ordering on a timestamp column
+ * @param {string} column - Column name
+ * @returns {function(object, object): number}
+ */
+function newestFirst(column) {
+  return (a, b) => (b[column] || '').localeCompare(a[column] || '');
+}
+
+/**
+ * Comparator for signal history order: newest first, ID breaking ties
+ * (matches the cursor in lib/history.js)
+ * @param {object} a - Signal row
+ * @param {object} b - Signal row
+ * @returns {number}
+ */
+function byInterceptedDesc(a, b) {
+  return newestFirst('intercepted_at')(a, b) || (b.id > a.id) - (b.id < a.id);
+}
+
+/**
+ * Create a JSON-file backed table
+ * @param {string} name - Table (and file) name
+ * @param {function(): object} defaults - Column defaults for new rows
+ * @returns {object} - Table with select/insert/update/remove
+ */
+function createTable(name, defaults) {
+  const file = join(DATA_DIR, `${name}.json`);
+  let loading = null;
+  let writing = Promise.resolve();
+
+  // Read the table once; concurrent callers share the same load
+  function load() {
+    loading ??= fs.readFile(file, 'utf8')
+      .then(json => JSON.parse(json))
+      .catch(error => {
+        if (error.code === 'ENOENT') return [];
+        loading = null;
+        throw error;
+      });
+    return loading;
+  }
+
+  // Writes are queued so they land in order; a failed write doesn't block later ones
+  function save(rows) {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(rows));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  return {
+    // Copies of the rows matching a predicate
+    async select(predicate = () => true) {
+      const rows = await load();
+      return structuredClone(rows.filter(predicate));
+    },
+
+    async insert(row) {
+      const rows = await load();
+      const created = { id: crypto.randomUUID(), ...defaults(), ...row };
+      rows.push(created);
+      await save(rows);
+      return structuredClone(created);
+    },
+
+    async update(predicate, changes) {
+      const rows = await load();
+      const updated = rows.filter(predicate);
+      if (updated.length === 0) return [];
+      updated.forEach(row => Object.assign(row, changes));
+      await save(rows);
+      return structuredClone(updated);
+    },
+
+    async remove(predicate) {
+      const rows = await load();
+      const kept = rows.filter(row => !predicate(row));
+      const removed = rows.length - kept.length;
+      if (removed === 0) return 0;
+      rows.splice(0, rows.length, ...kept);
+      await save(rows);
+      return removed;
+    }
+  };
+}
+
+const tables = {
+  targets: createTable('watch_targets', () => ({
+    last_hash: null,
+    last_check: null,
+    is_active: true,
+    created_at: now(),
+    updated_at: now()
+  })),
+  signals: createTable('signals', () => ({
+    status: 'new',
+    assignee: null,
+    notes: null,
+    intercepted_at: now()
+  })),
+  signalAudit: createTable('signal_audit', () => ({ created_at: now() })),
+  snapshots: createTable('target_snapshots', () => ({ captured_at: now() })),
+  sentinels: createTable('sentinels', () => ({
+    monitoring_enabled: null, // Never chosen; false means explicitly stopped
+    monitoring_last_run: null,
+    last_login: null,
+    created_at: now()
+  })),
+  profiles: createTable('domain_profiles', () => ({ created_at: now(), updated_at: now() }))
+};
+
+/**
+ * Watch Targets Operations
+ */
+export const targets = {
+  // Get all targets for a user
+  async getByUser(userId) {
+    const rows = await tables.targets.select(row => row.user_id === userId);
+    return rows.sort(newestFirst('created_at'));
+  },
+
+  // Get active targets for a user
+  async getActiveByUser(userId) {
+    return tables.targets.select(row => row.user_id === userId && row.is_active);
+  },
+
+  // Get IDs of users who have at least one active target
+  async getActiveUserIds() {
+    const rows = await tables.targets.select(row => row.is_active);
+    return [...new Set(rows.map(row => row.user_id))];
+  },
+
+  // Create a new target
+  async create(target) {
+    return tables.targets.insert(target);
+  },
+
+  // Update a target
+  async update(id, userId, updates) {
+    const [row] = await tables.targets.update(
+      row => row.id === id && row.user_id === userId,
+      { ...updates, updated_at: now() }
+    );
+    return row;
+  },
+
+  // Delete a target with its signals (and their audit trails) and snapshots
+  async delete(id, userId) {
+    const removed = await tables.targets.remove(row => row.id === id && row.user_id === userId);
+    if (removed > 0) {
+      const signalIds = new Set((await tables.signals.select(row => row.target_id === id)).map(row => row.id));
+      await tables.signals.remove(row => row.target_id === id);
+      await tables.signalAudit.remove(row => signalIds.has(row.signal_id));
+      await tables.snapshots.remove(row => row.target_id === id);
+    }
+    return true;
+  },
+
+  // Update last check info (plus HTTP validators for conditional requests)
+  async updateLastCheck(id, hash, http = {}) {
+    await tables.targets.update(row => row.id === id, {
+      last_hash: hash,
+      last_check: now(),
+      ...http
+    });
+  },
+
+  // Remember which feed items have been processed
+  async updateSeenGuids(id, guids) {
+    await tables.targets.update(row => row.id === id, { seen_guids: guids });
+  }
+};
+
+/**
+ * Domain Profiles Operations
+ */
+export const profiles = {
+  // Get all custom profiles
+  async getAll() {
+    const rows = await tables.profiles.select();
+    return rows.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  },
+
+  // Create a profile
+  async create(profile) {
+    return tables.profiles.insert(profile);
+  },
+
+  // Update a profile
+  async update(id, updates) {
+    const [row] = await tables.profiles.update(row => row.id === id, { ...updates, updated_at: now() });
+    return row;
+  },
+
+  // Delete a profile (false if it doesn't exist)
+  async delete(id) {
+    return (await tables.profiles.remove(row => row.id === id)) > 0;
+  }
+};
+
+/**
+ * Signals Operations
+ */
+export const signals = {
+  // Get signals for a user, with the target's name and URL
+  async getByUser(userId, limit = 50) {
+    return this.query(userId, { limit });
+  },
+
+  // Get one signal with its target's name and URL
+  async getById(id, userId) {
+    const rows = await tables.signals.select(row => row.id === id && row.user_id === userId);
+    const [row] = await this.withTargets(userId, rows);
+    return row || null;
+  },
+
+  // Create a new signal
+  async create(signal) {
+    return tables.signals.insert(signal);
+  },
+
+  // Update triage fields of a signal
+  async update(id, userId, updates) {
+    const [row] = await tables.signals.update(row => row.id === id && row.user_id === userId, updates);
+    return row;
+  },
+
+  // Get signals by threat level
+  async getByThreatLevel(userId, level) {
+    return this.query(userId, { threatLevel: level });
+  },
+
+  // Query signal history, newest first (filters and cursor from lib/history.js)
+  async query(userId, { limit, ...filters } = {}) {
+    const rows = await tables.signals.select(row => row.user_id === userId && matchesHistoryFilters(row, filters));
+    const page = rows.sort(byInterceptedDesc).slice(0, limit);
+    return this.withTargets(userId, page);
+  },
+
+  // Count all stored signals for a user
+  async count(userId) {
+    const rows = await tables.signals.select(row => row.user_id === userId);
+    return rows.length;
+  },
+
+  // Attach the target's name and URL like the InsForge join
+  async withTargets(userId, rows) {
+    const targetRows = await tables.targets.select(row => row.user_id === userId);
+    const targetsById = new Map(targetRows.map(row => [row.id, row]));
+
+    return rows.map(row => {
+      const target = targetsById.get(row.target_id);
+      return { ...row, watch_targets: target ? { name: target.name, url: target.url } : null };
+    });
+  }
+};
+
+/**
+ * Signal Audit Operations
+ */
+export const signalAudit = {
+  // Get the changes made to a signal, newest first
+  async getBySignal(signalId, userId) {
+    const rows = await tables.signalAudit.select(row => row.signal_id === signalId && row.user_id === userId);
+    return rows.sort(newestFirst('created_at'));
+  },
+
+  // Record a change
+  async create(entry) {
+    return tables.signalAudit.insert(entry);
+  }
+};
+
+/**
+ * Snapshots Operations
+ */
+export const snapshots = {
+  // Drop the compressed content from a row (listings never ship it)
+  toMeta({ id, target_id, content_hash, content_length, captured_at }) {
+    return { id, target_id, content_hash, content_length, captured_at };
+  },
+
+  // List snapshots for a target, newest first
+  async getByTarget(targetId, userId, limit = 50) {
+    const rows = await tables.snapshots.select(row => row.target_id === targetId && row.user_id === userId);
+    return rows.sort(newestFirst('captured_at')).slice(0, limit).map(this.toMeta);
+  },
+
+  // Get one snapshot including its compressed content
+  async getById(id, targetId, userId) {
+    const [row] = await tables.snapshots.select(
+      row => row.id === id && row.target_id === targetId && row.user_id === userId
+    );
+    return row || null;
+  },
+
+  // Get the most recent snapshot for a target
+  async getLatest(targetId) {
+    const rows = await tables.snapshots.select(row => row.target_id === targetId);
+    return rows.sort(newestFirst('captured_at'))[0] || null;
+  },
+
+  // Create a new snapshot
+  async create(snapshot) {
+    return this.toMeta(await tables.snapshots.insert(snapshot));
+  },
+
+  // Delete all but the newest `keep` snapshots of a target
+  async prune(targetId, keep) {
+    const rows = await tables.snapshots.select(row => row.target_id === targetId);
+    const staleIds = new Set(rows.sort(newestFirst('captured_at')).slice(keep).map(row => row.id));
+    if (staleIds.size === 0) return 0;
+    return tables.snapshots.remove(row => staleIds.has(row.id));
+  }
+};
+
+/**
+ * Sentinels (Users) Operations
+ */
+export const sentinels = {
+  // Get sentinel by callsign
+  async getByCallsign(callsign) {
+    const [row] = await tables.sentinels.select(row => row.callsign === callsign.toUpperCase());
+    return row || null;
+  },
+
+  // Create a new sentinel
+  async create(sentinel) {
+    return tables.sentinels.insert(sentinel);
+  },
+
+  // Save whether monitoring should run (and survive restarts)
+  async setMonitoring(id, enabled) {
+    await tables.sentinels.update(row => row.id === id, { monitoring_enabled: enabled });
+  },
+
+  // Record the last completed monitoring pass
+  async updateMonitoringRun(id) {
+    await tables.sentinels.update(row => row.id === id, { monitoring_last_run: now() });
+  },
+
+  // Get IDs of sentinels by monitoring flag (never-chosen sentinels match neither)
+  async getIdsByMonitoring(enabled) {
+    const rows = await tables.sentinels.select(row => row.monitoring_enabled === enabled);
+    return rows.map(row => row.id);
+  },
+
+  // Update last login timestamp
+  async updateLastLogin(id) {
+    await tables.sentinels.update(row => row.id === id, { last_login: now() });
+  }
+};
@@ -0,0 +1,187 @@
+/**
+ * Signal History Queries
+ * Filter parsing and cursor pagination shared by the signal endpoints
+ * and the storage adapters
+ *
+ * Pages are ordered newest first by intercepted_at, with the signal ID as
+ * a tie-breaker. The cursor names the last row of a page, so signals
+ * intercepted while a client pages through are never skipped or repeated.
+ */
+
+import { TRIAGE_STATUSES } from './triage.js';
+
+export const THREAT_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const MAX_CATEGORY_LENGTH = 50;
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+// Cursor parts end up in database filters, so both are checked strictly
+const TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+const ID_REGEX = /^[0-9a-f-]{1,64}$/i;
+
+/**
+ * Check that a row ID is safe to pass to a database filter
+ * @param {*} id - Raw path or query value
+ * @returns {boolean}
+ */
+export function isValidId(id) {
+  return typeof id === 'string' && ID_REGEX.test(id);
+}
+
+/**
+ * Encode the position after a signal row
+ * @param {{intercepted_at: string, id: string}} row - Last row of a page
+ * @returns {string} - Opaque base64url cursor
+ */
+export function encodeCursor({ intercepted_at, id }) {
+  return Buffer.from(`${intercepted_at}|${id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Raw query value
+ * @returns {{interceptedAt: string, id: string}|null} - null if malformed
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length > 200) return null;
+
+  const [interceptedAt, id, ...rest] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (rest.length > 0 || !TIMESTAMP_REGEX.test(interceptedAt || '') || !ID_REGEX.test(id || '')) {
+    return null;
+  }
+  return { interceptedAt, id };
+}
+
+/**
+ * Parse an optional date query value
+ * @param {*} value - Raw query value
+ * @returns {string|null|undefined} - ISO string, undefined if absent, null if invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Validate signal history query parameters
+ * @param {object} query - req.query with target_id, threat_level, status, category,
+ *   keyword, search, from, to, cursor, limit
+ * @returns {{error: string}|{filters: object, cursor: object|null, limit: number}}
+ */
+export function parseHistoryQuery(query) {
+  const { target_id, threat_level, status, category, keyword, search, cursor, limit } = query;
+  const filters = {};
+
+  if (target_id !== undefined && target_id !== '') {
+    if (!isValidId(target_id)) {
+      return { error: 'Invalid target ID' };
+    }
+    filters.targetId = target_id;
+  }
+
+  if (threat_level !== undefined && threat_level !== '') {
+    const level = typeof threat_level === 'string' ? threat_level.toUpperCase() : '';
+    if (!THREAT_LEVELS.includes(level)) {
+      return { error: `Threat level must be one of: ${THREAT_LEVELS.join(', ')}` };
+    }
+    filters.threatLevel = level;
+  }
+
+  if (status !== undefined && status !== '') {
+    if (!TRIAGE_STATUSES.includes(status)) {
+      return { error: `Status must be one of: ${TRIAGE_STATUSES.join(', ')}` };
+    }
+    filters.status = status;
+  }
+
+  if (category !== undefined && category !== '') {
+    if (typeof category !== 'string' || category.length > MAX_CATEGORY_LENGTH) {
+      return { error: `Category must be less than ${MAX_CATEGORY_LENGTH} characters` };
+    }
+    filters.category = category;
+  }
+
+  if (keyword !== undefined && keyword !== '') {
+    if (typeof keyword !== 'string' || keyword.length > MAX_KEYWORD_LENGTH) {
+      return { error: `Keyword must be less than ${MAX_KEYWORD_LENGTH} characters` };
+    }
+    filters.keyword = keyword;
+  }
+
+  if (search !== undefined && search !== '') {
+    if (typeof search !== 'string' || search.trim().length > MAX_SEARCH_LENGTH) {
+      return { error: `Search must be less than ${MAX_SEARCH_LENGTH} characters` };
+    }
+    if (search.trim()) filters.search = search.trim();
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'Dates must be ISO 8601, e.g. 2025-01-31 or 2025-01-31T12:00:00Z' };
+  }
+  if (from && to && from > to) {
+    return { error: '"from" must be before "to"' };
+  }
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  let decodedCursor = null;
+  if (cursor !== undefined && cursor !== '') {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const pageSize = limit === undefined || limit === '' ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { filters, cursor: decodedCursor, limit: pageSize };
+}
+
+/**
+ * Check a signal row against history filters (for adapters that filter in memory)
+ * @param {object} row - Signal row
+ * @param {object} filters - targetId, threatLevel, status, category, keyword, search, from, to, cursor
+ * @returns {boolean}
+ */
+export function matchesHistoryFilters(row, {
+  targetId, threatLevel, status, category, keyword, search, from, to, cursor
+} = {}) {
+  const time = Date.parse(row.intercepted_at);
+
+  if (targetId && row.target_id !== targetId) return false;
+  if (threatLevel && row.ai_threat_level !== threatLevel) return false;
+  if (status && (row.status || 'new') !== status) return false;
+  if (category && row.ai_category !== category) return false;
+  if (keyword && !(row.matched_keywords || []).includes(keyword)) return false;
+  if (search && !(row.content || '').toLowerCase().includes(search.toLowerCase())) return false;
+  if (from && time < Date.parse(from)) return false;
+  if (to && time > Date.parse(to)) return false;
+  if (cursor) {
+    const cursorTime = Date.parse(cursor.interceptedAt);
+    if (time > cursorTime || (time === cursorTime && row.id >= cursor.id)) return false;
+  }
+  return true;
+}
+
+/**
+ * Split one extra fetched row off into the next cursor
+ * Adapters are asked for limit + 1 rows; the extra one only proves there is more.
+ * @param {object[]} rows - Up to limit + 1 rows, newest first
+ * @param {number} limit - Page size
+ * @returns {{data: object[], nextCursor: string|null}}
+ */
+export function toPage(rows, limit) {
+  const data = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(data[data.length - 1]) : null;
+  return { data, nextCursor };
+}
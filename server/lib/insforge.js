@@ -40,6 +40,17 @@ export const targets = {
     return data;
   },
 
+  // Get IDs of users who have at least one active target
+  async getActiveUserIds() {
+    const { data, error } = await insforge.database
+      .from('watch_targets')
+      .select('user_id')
+      .eq('is_active', true);
+
+    if (error) throw error;
+    return [...new Set(data.map(row => row.user_id))];
+  },
+
   // Create a new target
   async create(target) {
     const { data, error } = await insforge.database
@@ -76,17 +87,80 @@ export const targets = {
     return true;
   },
 
-  // Update last check info
-  async updateLastCheck(id, hash) {
+  // Update last check info (plus HTTP validators for conditional requests)
+  async updateLastCheck(id, hash, http = {}) {
     const { error } = await insforge.database
       .from('watch_targets')
       .update({
         last_hash: hash,
-        last_check: new Date().toISOString()
+        last_check: new Date().toISOString(),
+        ...http
       })
       .eq('id', id);
 
     if (error) throw error;
+  },
+
+  // Remember which feed items have been processed
+  async updateSeenGuids(id, guids) {
+    const { error } = await insforge.database
+      .from('watch_targets')
+      .update({ seen_guids: guids })
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Domain Profiles Operations
+ * Per-host request settings managed by admins (see lib/profiles.js)
+ */
+export const profiles = {
+  // Get all custom profiles
+  async getAll() {
+    const { data, error } = await insforge.database
+      .from('domain_profiles')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create a profile
+  async create(profile) {
+    const { data, error } = await insforge.database
+      .from('domain_profiles')
+      .insert([profile])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Update a profile
+  async update(id, updates) {
+    const { data, error } = await insforge.database
+      .from('domain_profiles')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Delete a profile (false if it doesn't exist)
+  async delete(id) {
+    const { data, error } = await insforge.database
+      .from('domain_profiles')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
   }
 };
 
@@ -107,6 +181,19 @@ export const signals = {
     return data;
   },
 
+  // Get one signal with its target's name and URL
+  async getById(id, userId) {
+    const { data, error } = await insforge.database
+      .from('signals')
+      .select('*, watch_targets(name, url)')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+    return data;
+  },
+
   // Create a new signal
   async create(signal) {
     const { data, error } = await insforge.database
@@ -118,17 +205,179 @@ export const signals = {
     return data[0];
   },
 
+  // Update triage fields of a signal
+  async update(id, userId, updates) {
+    const { data, error } = await insforge.database
+      .from('signals')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
   // Get signals by threat level
   async getByThreatLevel(userId, level) {
-    const { data, error } = await insforge.database
+    return this.query(userId, { threatLevel: level });
+  },
+
+  // Query signal history, newest first (filters and cursor from lib/history.js)
+  async query(userId, { targetId, threatLevel, status, category, keyword, search, from, to, cursor, limit } = {}) {
+    let request = insforge.database
       .from('signals')
+      .select('*, watch_targets(name, url)')
+      .eq('user_id', userId);
+
+    if (targetId) request = request.eq('target_id', targetId);
+    if (threatLevel) request = request.eq('ai_threat_level', threatLevel);
+    if (status) request = request.eq('status', status);
+    if (category) request = request.eq('ai_category', category);
+    // Quoted array literal, so keywords with commas or braces match as one element
+    if (keyword) request = request.contains('matched_keywords', `{"${keyword.replace(/["\\]/g, '\\$&')}"}`);
+    // Case-insensitive substring; LIKE wildcards in the search are matched literally
+    if (search) request = request.ilike('content', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    if (from) request = request.gte('intercepted_at', from);
+    if (to) request = request.lte('intercepted_at', to);
+    if (cursor) {
+      request = request.or(
+        `intercepted_at.lt."${cursor.interceptedAt}",and(intercepted_at.eq."${cursor.interceptedAt}",id.lt.${cursor.id})`
+      );
+    }
+
+    request = request
+      .order('intercepted_at', { ascending: false })
+      .order('id', { ascending: false });
+    if (limit) request = request.limit(limit);
+
+    const { data, error } = await request;
+    if (error) throw error;
+    return data;
+  },
+
+  // Count all stored signals for a user
+  async count(userId) {
+    const { count, error } = await insforge.database
+      .from('signals')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return count;
+  }
+};
+
+/**
+ * Signal Audit Operations
+ * Who changed a signal's triage fields, and when (see lib/triage.js)
+ */
+export const signalAudit = {
+  // Get the changes made to a signal, newest first
+  async getBySignal(signalId, userId) {
+    const { data, error } = await insforge.database
+      .from('signal_audit')
       .select('*')
+      .eq('signal_id', signalId)
       .eq('user_id', userId)
-      .eq('ai_threat_level', level)
-      .order('intercepted_at', { ascending: false });
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
     return data;
+  },
+
+  // Record a change
+  async create(entry) {
+    const { data, error } = await insforge.database
+      .from('signal_audit')
+      .insert([entry])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  }
+};
+
+/**
+ * Snapshots Operations
+ * Compressed page text captured on each content change
+ */
+export const snapshots = {
+  // Metadata columns (listing never ships the compressed content)
+  META_COLUMNS: 'id, target_id, content_hash, content_length, captured_at',
+
+  // List snapshots for a target, newest first
+  async getByTarget(targetId, userId, limit = 50) {
+    const { data, error } = await insforge.database
+      .from('target_snapshots')
+      .select(this.META_COLUMNS)
+      .eq('target_id', targetId)
+      .eq('user_id', userId)
+      .order('captured_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get one snapshot including its compressed content
+  async getById(id, targetId, userId) {
+    const { data, error } = await insforge.database
+      .from('target_snapshots')
+      .select('*')
+      .eq('id', id)
+      .eq('target_id', targetId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+    return data;
+  },
+
+  // Get the most recent snapshot for a target
+  async getLatest(targetId) {
+    const { data, error } = await insforge.database
+      .from('target_snapshots')
+      .select('*')
+      .eq('target_id', targetId)
+      .order('captured_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  // Create a new snapshot
+  async create(snapshot) {
+    const { data, error } = await insforge.database
+      .from('target_snapshots')
+      .insert([snapshot])
+      .select(this.META_COLUMNS);
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Delete all but the newest `keep` snapshots of a target
+  async prune(targetId, keep) {
+    const { data, error } = await insforge.database
+      .from('target_snapshots')
+      .select('id')
+      .eq('target_id', targetId)
+      .order('captured_at', { ascending: false });
+
+    if (error) throw error;
+
+    const staleIds = data.slice(keep).map(row => row.id);
+    if (staleIds.length === 0) return 0;
+
+    const { error: deleteError } = await insforge.database
+      .from('target_snapshots')
+      .delete()
+      .in('id', staleIds);
+
+    if (deleteError) throw deleteError;
+    return staleIds.length;
   }
 };
 
@@ -279,6 +528,37 @@ export const sentinels = {
     return data[0];
   },
 
+  // Save whether monitoring should run (and survive restarts)
+  async setMonitoring(id, enabled) {
+    const { error } = await insforge.database
+      .from('sentinels')
+      .update({ monitoring_enabled: enabled })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Record the last completed monitoring pass
+  async updateMonitoringRun(id) {
+    const { error } = await insforge.database
+      .from('sentinels')
+      .update({ monitoring_last_run: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Get IDs of sentinels by monitoring flag (never-chosen sentinels match neither)
+  async getIdsByMonitoring(enabled) {
+    const { data, error } = await insforge.database
+      .from('sentinels')
+      .select('id')
+      .eq('monitoring_enabled', enabled);
+
+    if (error) throw error;
+    return data.map(row => row.id);
+  },
+
   // Update last login timestamp
   async updateLastLogin(id) {
     const { error } = await insforge.database
@@ -290,4 +570,21 @@ export const sentinels = {
   }
 };
 
+/**
+ * Schema Operations
+ */
+export const schema = {
+  // Get migration versions recorded by the runner (npm run migrate)
+  async getAppliedVersions() {
+    const { data, error } = await insforge.database
+      .from('schema_migrations')
+      .select('version');
+
+    // 42P01 / PGRST205 = table missing, i.e. nothing migrated yet
+    if (error && (error.code === '42P01' || error.code === 'PGRST205')) return [];
+    if (error) throw error;
+    return data.map(row => row.version);
+  }
+};
+
 export default insforge;
@@ -0,0 +1,280 @@
+/**
+ * JSON Extraction
+ * JSONPath-style field selection and field conditions for JSON API targets
+ *
+ * Paths:       $.components[*].status   $['release notes'][0]   $..version
+ * Conditions:  status != "operational"   @.latency_ms > 500   tags contains "outage"
+ *   A condition is checked against every node the target path selects
+ *   (the whole document without a path) and fires when any node's field
+ *   satisfies it. Fields are relative to the node; "@" is the node itself.
+ *   Missing fields never satisfy a condition.
+ */
+
+import crypto from 'crypto';
+import { fetchDocument } from './scraper.js';
+import { compileKeyword } from './query.js';
+
+// Extraction limits
+const MAX_PATH_LENGTH = 200;
+const MAX_SELECTED_NODES = 1000;     // Nodes a path may select
+const MAX_TEXT_LENGTH = 50000;       // Characters of extracted text (same cap as pages)
+const MAX_NODE_PREVIEW = 300;        // Characters of a node shown in signal content
+const MAX_EXAMPLES = 3;              // Nodes listed per triggered condition
+export const MAX_CONDITIONS = 10;
+
+const OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'contains'];
+
+/**
+ * Split a path into segments
+ * @param {string} path - JSONPath-style expression starting with $
+ * @returns {Array<{descend: boolean, key: string|number|null}>} - key null = wildcard
+ * @throws {Error} - On syntax errors
+ */
+export function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error('Path must start with "$"');
+  }
+  if (path.length > MAX_PATH_LENGTH) {
+    throw new Error(`Path must be less than ${MAX_PATH_LENGTH} characters`);
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    let descend = false;
+
+    if (path.startsWith('..', i)) {
+      descend = true;
+      i += 2;
+    } else if (path[i] === '.') {
+      i++;
+    } else if (path[i] !== '[') {
+      throw new Error(`Unexpected "${path[i]}" at position ${i}`);
+    }
+
+    if (path[i] === '[') {
+      const end = path.indexOf(']', i);
+      if (end === -1) throw new Error('Missing closing bracket');
+      const inner = path.substring(i + 1, end).trim();
+
+      if (inner === '*') {
+        segments.push({ descend, key: null });
+      } else if (/^\d+$/.test(inner)) {
+        segments.push({ descend, key: parseInt(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push({ descend, key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Invalid bracket selector "[${inner}]"`);
+      }
+      i = end + 1;
+    } else {
+      const name = path.substring(i).match(/^(\*|[^.[\]\s]+)/);
+      if (!name) throw new Error(`Expected a field name at position ${i}`);
+      segments.push({ descend, key: name[0] === '*' ? null : name[0] });
+      i += name[0].length;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Direct children of a node matching a key (null = all)
+ * @param {*} node - JSON value
+ * @param {string|number|null} key - Field name, array index or wildcard
+ * @returns {Array<*>}
+ */
+function children(node, key) {
+  if (node === null || typeof node !== 'object') return [];
+  if (key === null) return Object.values(node);
+  return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : [];
+}
+
+/**
+ * A node and all of its descendants, depth first
+ * @param {*} node - JSON value
+ * @param {Array<*>} out - Accumulator
+ * @returns {Array<*>}
+ */
+function descendants(node, out = []) {
+  if (out.length >= MAX_SELECTED_NODES) return out;
+  out.push(node);
+  if (node !== null && typeof node === 'object') {
+    for (const value of Object.values(node)) descendants(value, out);
+  }
+  return out;
+}
+
+/**
+ * Select values from parsed JSON
+ * @param {*} data - Parsed JSON document (or the node a relative path starts at)
+ * @param {string|Array} path - Expression or segments from parsePath
+ * @returns {Array<*>} - Selected values
+ */
+export function queryPath(data, path) {
+  const segments = typeof path === 'string' ? parsePath(path) : path;
+  let nodes = [data];
+
+  for (const { descend, key } of segments) {
+    const scope = descend ? nodes.flatMap(node => descendants(node)) : nodes;
+    nodes = scope.flatMap(node => children(node, key)).slice(0, MAX_SELECTED_NODES);
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse a field condition
+ * @param {string} source - e.g. status != "operational"
+ * @returns {{source: string, path: Array, operator: string, value: *}}
+ * @throws {Error} - On syntax errors
+ */
+export function parseCondition(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Condition must be a non-empty string');
+  }
+
+  const match = source.trim().match(/^(\S+?)\s*(==|!=|>=|<=|>|<|\scontains\s)\s*(.+)$/);
+  if (!match) {
+    throw new Error(`Condition needs one of: ${OPERATORS.join(', ')}`);
+  }
+
+  const [, field, operator, rawValue] = match;
+
+  // Fields start at the selected node: "status" and "@.status" mean the same
+  const path = field.startsWith('@') ? '$' + field.substring(1) : `$.${field}`;
+
+  // Values are JSON literals; unquoted words are read as strings
+  let value;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    value = rawValue.trim();
+  }
+
+  return { source: source.trim(), path: parsePath(path), operator: operator.trim(), value };
+}
+
+/**
+ * Check one field value against a condition
+ * @param {*} actual - Field value
+ * @param {string} operator - Comparison operator
+ * @param {*} expected - Condition value
+ * @returns {boolean}
+ */
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '==':
+      return JSON.stringify(actual) === JSON.stringify(expected);
+    case '!=':
+      return JSON.stringify(actual) !== JSON.stringify(expected);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.some(item => JSON.stringify(item) === JSON.stringify(expected));
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+    default: {
+      const a = Number(actual);
+      const b = Number(expected);
+      if (actual === null || actual === '' || isNaN(a) || isNaN(b)) return false;
+      if (operator === '>') return a > b;
+      if (operator === '>=') return a >= b;
+      if (operator === '<') return a < b;
+      return a <= b;
+    }
+  }
+}
+
+/**
+ * Find the nodes that satisfy a condition
+ * @param {Array<*>} nodes - Nodes selected by the target path
+ * @param {object} condition - From parseCondition
+ * @returns {Array<*>} - Matching nodes
+ */
+export function evaluateCondition(nodes, condition) {
+  return nodes.filter(node =>
+    queryPath(node, condition.path).some(actual => compare(actual, condition.operator, condition.value))
+  );
+}
+
+/**
+ * Render a selected value as text for hashing, keywords and snapshots
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function toText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Extract text and evaluate keywords and conditions on a JSON document
+ * @param {string} body - Response body
+ * @param {string[]} keywords - Keywords to search for
+ * @param {object} [options]
+ * @param {string} [options.path] - Target path (default: whole document)
+ * @param {string[]} [options.conditions] - Field conditions
+ * @returns {{text: string, hash: string, matches: string[], content: string}}
+ */
+export function extractJson(body, keywords, { path = null, conditions = [] } = {}) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new Error('Response is not valid JSON');
+  }
+
+  const nodes = path ? queryPath(data, path) : [data];
+  if (nodes.length === 0) {
+    throw new Error(`Path matched nothing: ${path}`);
+  }
+
+  // One selected value per line; only these values are hashed
+  const text = nodes.map(toText).join('\n').substring(0, MAX_TEXT_LENGTH);
+  const hash = crypto.createHash('sha256').update(text).digest('hex');
+
+  const matchers = keywords.map(compileKeyword).filter(matcher => matcher.test(text));
+  const matches = matchers.map(matcher => matcher.keyword);
+  const excerpts = nodes
+    .map(toText)
+    .filter(value => matchers.some(matcher => matcher.test(value)))
+    .slice(0, MAX_EXAMPLES)
+    .map(value => value.substring(0, MAX_NODE_PREVIEW));
+
+  for (const source of conditions) {
+    const condition = parseCondition(source);
+    const hits = evaluateCondition(nodes, condition);
+    if (hits.length === 0) continue;
+
+    matches.push(condition.source);
+    excerpts.push([
+      `[${condition.source}] ${hits.length} node(s)`,
+      ...hits.slice(0, MAX_EXAMPLES).map(node => toText(node).substring(0, MAX_NODE_PREVIEW))
+    ].join('\n'));
+  }
+
+  return { text, hash, matches, content: excerpts.join('\n\n---\n\n') };
+}
+
+/**
+ * Fetch a JSON endpoint and check it for signals
+ * Mirrors checkForSignal: keywords and conditions are only evaluated when
+ * the selected values changed.
+ * @param {string} url - Endpoint URL
+ * @param {string[]} keywords - Keywords to search for
+ * @param {string} lastHash - Previous hash of the selected values
+ * @param {object} [options] - Path and conditions (see extractJson) and validators (see fetchDocument)
+ * @returns {Promise<{changed: boolean, notModified: boolean, matches: string[], content: string, hash: string, text: string, http: object}>}
+ */
+export async function checkJson(url, keywords, lastHash, options = {}) {
+  const { body, notModified, ...http } = await fetchDocument(url, options);
+  if (notModified) {
+    return { changed: false, notModified, matches: [], content: '', hash: lastHash, text: null, http };
+  }
+
+  const { text, hash, matches, content } = extractJson(body, keywords, options);
+
+  if (hash === lastHash) {
+    return { changed: false, notModified, matches: [], content: '', hash, text, http };
+  }
+
+  return { changed: true, notModified, matches, content, hash, text, http };
+}
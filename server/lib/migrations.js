@@ -0,0 +1,99 @@
+/**
+ * Schema Migrations
+ * Versioned SQL files in migrations/, named NNN_description.sql
+ *
+ * Applied versions are recorded in the schema_migrations table by the
+ * runner (npm run migrate); the server refuses to start while any
+ * migration is still pending.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = join(__dirname, '../../migrations');
+
+// Bookkeeping table, created by the runner before the first migration
+export const SCHEMA_MIGRATIONS_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);`;
+
+const MIGRATION_FILE_REGEX = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Parse a migration file name
+ * @param {string} file - e.g. 001_core_tables.sql
+ * @returns {{version: string, name: string, file: string}|null}
+ */
+export function parseMigrationName(file) {
+  const match = file.match(MIGRATION_FILE_REGEX);
+  return match ? { version: match[1], name: match[2], file } : null;
+}
+
+/**
+ * List migrations in version order
+ * @param {string} [dir] - Migrations directory
+ * @returns {Array<{version: string, name: string, file: string}>}
+ * @throws {Error} - On a misnamed .sql file or a duplicate version
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.sql'))) {
+    const migration = parseMigrationName(file);
+    if (!migration) {
+      throw new Error(`Invalid migration file name "${file}" (expected NNN_description.sql)`);
+    }
+    if (migrations.some(existing => existing.version === migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    migrations.push(migration);
+  }
+
+  return migrations.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Migrations that have not been applied yet
+ * @param {object[]} migrations - From listMigrations
+ * @param {string[]} appliedVersions - Versions in schema_migrations
+ * @returns {object[]}
+ */
+export function pendingMigrations(migrations, appliedVersions) {
+  const applied = new Set(appliedVersions);
+  return migrations.filter(migration => !applied.has(migration.version));
+}
+
+/**
+ * Wrap a migration in a transaction that also records it as applied
+ * @param {{version: string, name: string}} migration - Parsed migration
+ * @param {string} sql - File contents
+ * @returns {string}
+ */
+export function buildMigrationSql({ version, name }, sql) {
+  // version and name passed MIGRATION_FILE_REGEX, so they are safe to inline
+  return [
+    'BEGIN;',
+    sql.trim(),
+    `INSERT INTO schema_migrations (version, name) VALUES ('${version}', '${name}');`,
+    'COMMIT;'
+  ].join('\n');
+}
+
+/**
+ * Fail when the database is missing migrations
+ * @param {string[]} appliedVersions - Versions in schema_migrations
+ * @param {object[]} [migrations] - Defaults to the files in migrations/
+ * @throws {Error} - Naming the pending migrations
+ */
+export function assertSchemaCurrent(appliedVersions, migrations = listMigrations()) {
+  const pending = pendingMigrations(migrations, appliedVersions);
+  if (pending.length > 0) {
+    const files = pending.map(migration => migration.file).join(', ');
+    throw new Error(`Database schema is behind: ${pending.length} pending migration(s) (${files})`);
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Network Guard
+ * Blocks scraper connections to internal addresses (SSRF protection)
+ *
+ * validateUrl only sees the hostname; a public name can still resolve to
+ * 10.0.0.5 or 169.254.169.254, and a second lookup can return a different
+ * address than the one that was checked (DNS rebinding). The agents below
+ * resolve the host themselves, reject the connection if any resolved
+ * address is blocked, and connect to the address that was checked.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Reserved, private and special-purpose ranges (RFC 6890 and friends)
+const BLOCKED_IPV4 = [
+  '0.0.0.0/8',          // "This" network
+  '10.0.0.0/8',         // Private
+  '100.64.0.0/10',      // Carrier-grade NAT
+  '127.0.0.0/8',        // Loopback
+  '169.254.0.0/16',     // Link-local / cloud metadata
+  '172.16.0.0/12',      // Private
+  '192.0.0.0/24',       // IETF protocol assignments
+  '192.0.2.0/24',       // TEST-NET-1
+  '192.88.99.0/24',     // 6to4 relay anycast
+  '192.168.0.0/16',     // Private
+  '198.18.0.0/15',      // Benchmarking
+  '198.51.100.0/24',    // TEST-NET-2
+  '203.0.113.0/24',     // TEST-NET-3
+  '224.0.0.0/4',        // Multicast
+  '240.0.0.0/4',        // Reserved
+  '255.255.255.255/32'  // Broadcast
+].map(parseCidr);
+
+const BLOCKED_IPV6 = [
+  '::/96',              // Unspecified, loopback, IPv4-compatible (deprecated)
+  '100::/64',           // Discard
+  '2001:db8::/32',      // Documentation
+  'fc00::/7',           // Unique local
+  'fe80::/10',          // Link-local
+  'fec0::/10',          // Site-local (deprecated)
+  'ff00::/8'            // Multicast
+].map(parseCidr);
+
+// IPv6 ranges that carry an IPv4 address; the embedded address is checked instead
+const EMBEDDED_IPV4 = [
+  { ...parseCidr('::ffff:0:0/96'), shift: 0n },     // IPv4-mapped
+  { ...parseCidr('64:ff9b::/96'), shift: 0n },      // NAT64
+  { ...parseCidr('2002::/16'), shift: 80n }         // 6to4
+];
+
+/**
+ * Parse an IPv4 address in any form inet_aton accepts
+ * Handles decimal (2130706433), octal (0177.0.0.1), hex (0x7f.1) and
+ * shortened (127.1) forms as well as plain dotted quads.
+ * @param {string} value - Address text
+ * @returns {number|null} - Address as an unsigned 32-bit integer
+ */
+export function parseIpv4(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  const parts = value.split('.');
+  if (parts.length > 4) return null;
+
+  const numbers = [];
+  for (const part of parts) {
+    let number;
+    if (/^0x[0-9a-f]+$/i.test(part)) number = parseInt(part.substring(2), 16);
+    else if (/^0[0-7]*$/.test(part)) number = parseInt(part, 8);
+    else if (/^[1-9]\d*$/.test(part)) number = parseInt(part, 10);
+    else return null;
+    numbers.push(number);
+  }
+
+  // Leading parts are single bytes; the last part fills the remaining bytes
+  const last = numbers.pop();
+  if (numbers.some(number => number > 255)) return null;
+  if (last >= 2 ** (8 * (4 - numbers.length))) return null;
+
+  return numbers.reduce((sum, byte, i) => sum + byte * 2 ** (24 - 8 * i), 0) + last;
+}
+
+/**
+ * Parse an IPv6 address
+ * @param {string} value - Address text, optionally in brackets or with a zone ID
+ * @returns {bigint|null} - Address as a 128-bit integer
+ */
+export function parseIpv6(value) {
+  if (typeof value !== 'string') return null;
+
+  let address = value.replace(/^\[(.*)\]$/, '$1').split('%')[0].toLowerCase();
+  if (!net.isIPv6(address)) return null;
+
+  // A trailing dotted quad becomes the last two groups
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = parseIpv4(dotted[2]);
+    address = `${dotted[1]}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+  return groups.reduce((sum, group) => (sum << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parse a CIDR range
+ * @param {string} cidr - e.g. 10.0.0.0/8 or fc00::/7
+ * @returns {{family: number, base: bigint, bits: number}}
+ */
+function parseCidr(cidr) {
+  const [address, bits] = cidr.split('/');
+  const family = address.includes(':') ? 6 : 4;
+  const base = family === 6 ? parseIpv6(address) : BigInt(parseIpv4(address));
+  return { family, base, bits: parseInt(bits) };
+}
+
+/**
+ * Check whether an address falls inside a range
+ * @param {bigint} value - Address
+ * @param {number} family - 4 or 6
+ * @param {object} range - From parseCidr
+ * @returns {boolean}
+ */
+function inRange(value, family, range) {
+  const shift = BigInt((family === 6 ? 128 : 32) - range.bits);
+  return range.family === family && (value >> shift) === (range.base >> shift);
+}
+
+/**
+ * Check whether an IP address must not be scraped
+ * @param {string} address - IPv4 (any inet_aton form) or IPv6 address
+ * @returns {boolean} - False for anything that is not an IP address
+ */
+export function isBlockedAddress(address) {
+  const v4 = parseIpv4(address);
+  if (v4 !== null) {
+    return BLOCKED_IPV4.some(range => inRange(BigInt(v4), 4, range));
+  }
+
+  const v6 = parseIpv6(address);
+  if (v6 === null) return false;
+
+  const embedding = EMBEDDED_IPV4.find(range => inRange(v6, 6, range));
+  if (embedding) {
+    const embedded = (v6 >> embedding.shift) & 0xffffffffn;
+    return BLOCKED_IPV4.some(range => inRange(embedded, 4, range));
+  }
+
+  return BLOCKED_IPV6.some(range => inRange(v6, 6, range));
+}
+
+/**
+ * DNS lookup that refuses blocked addresses
+ * Drop-in replacement for dns.lookup in socket options. Every address the
+ * name resolves to is checked, so a record set mixing public and internal
+ * addresses is rejected as a whole. The socket connects to the addresses
+ * returned here, so the checked address is the one used.
+ * @param {string} hostname - Host to resolve
+ * @param {object|Function} options - dns.lookup options (or the callback)
+ * @param {Function} callback - (err, address, family) or (err, addresses) when options.all
+ */
+export function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Host ${hostname} resolves to a blocked address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Create an agent whose connections go through safeLookup
+ * IP literals skip DNS lookup entirely, so they are checked before connecting.
+ * @param {typeof http.Agent} Agent - http.Agent or https.Agent
+ * @returns {http.Agent}
+ */
+function createGuardedAgent(Agent) {
+  const agent = new Agent({ lookup: safeLookup });
+  const createConnection = agent.createConnection.bind(agent);
+
+  agent.createConnection = (options, callback) => {
+    if (net.isIP(options.host) && isBlockedAddress(options.host)) {
+      callback(new Error(`Access to blocked address ${options.host} is not allowed`));
+      return undefined;
+    }
+    return createConnection(options, callback);
+  };
+
+  return agent;
+}
+
+const httpAgent = createGuardedAgent(http.Agent);
+const httpsAgent = createGuardedAgent(https.Agent);
+
+/**
+ * Pick the guarded agent for a request (node-fetch `agent` option)
+ * @param {URL} url - Request URL
+ * @returns {http.Agent}
+ */
+export function guardedAgent(url) {
+  return url.protocol === 'http:' ? httpAgent : httpsAgent;
+}
@@ -0,0 +1,111 @@
+/**
+ * Host Politeness
+ * One request schedule per host, shared by every user and session
+ *
+ * Each request reserves the next free slot for its host, at least the
+ * host's delay after the previous slot, so several sentinels watching the
+ * same site are spaced out instead of hitting it together.
+ */
+
+// Baseline gap between two requests to the same host
+const HOST_MIN_DELAY = parseInt(process.env.HOST_MIN_DELAY) || 1000;
+// Longest a request may queue for its slot before giving up
+const MAX_HOST_WAIT = parseInt(process.env.MAX_HOST_WAIT) || 60000;
+// Schedule entries kept before stale ones are pruned
+const MAX_TRACKED_HOSTS = 1000;
+
+// Host -> time of the latest reserved slot
+const lastSlots = new Map();
+
+// Host -> Crawl-delay from robots.txt (ms)
+const crawlDelays = new Map();
+
+/**
+ * Remember a host's robots.txt Crawl-delay
+ * @param {string} host - Hostname
+ * @param {number|null} delay - Delay in ms (null clears it)
+ */
+export function setCrawlDelay(host, delay) {
+  if (delay) {
+    crawlDelays.set(host, delay);
+  } else {
+    crawlDelays.delete(host);
+  }
+}
+
+/**
+ * Drop slots that are already in the past
+ * @param {number} now - Current time
+ */
+function pruneSlots(now) {
+  for (const [host, slot] of lastSlots) {
+    if (slot < now) lastSlots.delete(host);
+  }
+}
+
+/**
+ * Time of a host's next free request slot
+ * The gap is the largest of HOST_MIN_DELAY, the profile delay and the
+ * robots.txt Crawl-delay.
+ * @param {string} host - Hostname
+ * @param {number} minDelay - Extra minimum delay (domain profile), ms
+ * @param {number} now - Current time
+ * @returns {number}
+ */
+function nextSlot(host, minDelay, now) {
+  const delay = Math.max(HOST_MIN_DELAY, minDelay, crawlDelays.get(host) || 0);
+  const last = lastSlots.get(host);
+  return last === undefined ? now : Math.max(now, last + delay);
+}
+
+/**
+ * Reserve the next request slot for a host
+ * @param {string} host - Hostname
+ * @param {number} [minDelay] - Extra minimum delay (domain profile), ms
+ * @param {number} [now] - Current time
+ * @returns {number} - Milliseconds to wait before sending the request
+ * @throws {Error} - If the host's queue is longer than MAX_HOST_WAIT
+ */
+export function reserveSlot(host, minDelay = 0, now = Date.now()) {
+  const slot = nextSlot(host, minDelay, now);
+  const wait = slot - now;
+
+  if (wait > MAX_HOST_WAIT) {
+    throw new Error(`Host ${host} is busy, next request slot in ${Math.ceil(wait / 1000)}s`);
+  }
+
+  if (lastSlots.size >= MAX_TRACKED_HOSTS) pruneSlots(now);
+  lastSlots.set(host, slot);
+  return wait;
+}
+
+/**
+ * Take a host's request slot only if it is free right now
+ * Used as a worker pool gate: work for a busy host stays queued instead of
+ * holding a worker while it waits.
+ * @param {string} host - Hostname
+ * @param {number} [minDelay] - Extra minimum delay (domain profile), ms
+ * @param {number} [now] - Current time
+ * @returns {number} - 0 if the slot was taken, otherwise ms until it is free
+ */
+export function claimSlot(host, minDelay = 0, now = Date.now()) {
+  const wait = nextSlot(host, minDelay, now) - now;
+  if (wait > 0) return wait;
+
+  if (lastSlots.size >= MAX_TRACKED_HOSTS) pruneSlots(now);
+  lastSlots.set(host, now);
+  return 0;
+}
+
+/**
+ * Wait for a host's next request slot
+ * @param {string} url - Request URL
+ * @param {number} [minDelay] - Extra minimum delay (domain profile), ms
+ * @returns {Promise<void>}
+ */
+export async function waitForHost(url, minDelay = 0) {
+  const wait = reserveSlot(new URL(url).hostname, minDelay);
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Worker Pool
+ * Bounded concurrency with fair (round-robin) queuing per key
+ *
+ * A job may carry a `claim` gate (e.g. a host's politeness slot). Jobs whose
+ * gate is closed stay queued without taking a worker, and the pool retries
+ * them when the earliest gate opens.
+ */
+
+/**
+ * Create a worker pool
+ * @param {number} concurrency - Max tasks running at once across all keys
+ * @returns {{run: function, stats: function}}
+ */
+export function createWorkerPool(concurrency) {
+  const limit = Math.max(1, concurrency);
+
+  // Key (e.g. user ID) -> FIFO queue of pending jobs
+  const queues = new Map();
+  // Round-robin order of keys with pending jobs
+  const rotation = [];
+  let active = 0;
+  // Timer that retries jobs whose gate was closed
+  let retryTimer = null;
+
+  /**
+   * Take the first job in a queue whose gate is open
+   * @param {object[]} queue - Pending jobs for one key
+   * @returns {{job: object|null, retryIn: number}} - retryIn = ms until a closed gate opens
+   */
+  function takeReady(queue) {
+    let retryIn = Infinity;
+    for (let i = 0; i < queue.length; i++) {
+      const wait = queue[i].claim ? queue[i].claim() : 0;
+      if (wait <= 0) return { job: queue.splice(i, 1)[0], retryIn };
+      retryIn = Math.min(retryIn, wait);
+    }
+    return { job: null, retryIn };
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  function drain() {
+    let retryIn = Infinity;
+
+    for (let i = 0; active < limit && i < rotation.length;) {
+      // Take the next key in turn, then move it to the back if it still has work
+      const key = rotation[i];
+      const queue = queues.get(key);
+      const ready = takeReady(queue);
+      retryIn = Math.min(retryIn, ready.retryIn);
+
+      if (!ready.job) {
+        i++; // Every job for this key is gated; try the next key
+        continue;
+      }
+
+      rotation.splice(i, 1);
+      if (queue.length > 0) {
+        rotation.push(key);
+      } else {
+        queues.delete(key);
+      }
+
+      const { job } = ready;
+      active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+
+    // Workers are free but every remaining job is gated: come back when one opens
+    if (active < limit && retryIn !== Infinity) {
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        drain();
+      }, retryIn);
+    }
+  }
+
+  return {
+    /**
+     * Queue a task under a key
+     * @param {string} key - Fairness key (one queue per key)
+     * @param {function(): Promise<*>} task - Async work to run
+     * @param {object} [options]
+     * @param {function(): number} [options.claim] - Gate checked before the task
+     *   takes a worker: returns 0 once it has claimed what the task needs,
+     *   otherwise ms until it is worth asking again
+     * @returns {Promise<*>} - Resolves with the task's result
+     */
+    run(key, task, { claim = null } = {}) {
+      return new Promise((resolve, reject) => {
+        if (!queues.has(key)) {
+          queues.set(key, []);
+          rotation.push(key);
+        }
+        queues.get(key).push({ task, claim, resolve, reject });
+        drain();
+      });
+    },
+
+    /**
+     * Current pool usage
+     * @param {string} [key] - Only count queued jobs for this key
+     * @returns {{active: number, queued: number, concurrency: number}}
+     */
+    stats(key) {
+      let queued = 0;
+      if (key !== undefined) {
+        queued = queues.get(key)?.length || 0;
+      } else {
+        for (const queue of queues.values()) queued += queue.length;
+      }
+      return { active, queued, concurrency: limit };
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Domain Profiles
+ * Per-host request settings: extra headers, cookies, user agent,
+ * Accept-Language, minimum delay between requests and extraction defaults
+ *
+ * Patterns:  ptt.cc          ptt.cc and all of its subdomains
+ *            *.example.com   subdomains of example.com only
+ * The longest matching pattern wins; a custom profile replaces the
+ * built-in profile with the same pattern.
+ */
+
+// Shipped with the server; admins can override them but not delete them
+export const BUILTIN_PROFILES = [
+  {
+    id: 'builtin-ptt',
+    name: 'PTT',
+    pattern: 'ptt.cc',
+    // PTT 需要 over18 cookie 繞過年齡驗證
+    cookies: { over18: '1' }
+  }
+].map(profile => ({ ...normalizeProfile(profile), builtin: true }));
+
+// Profiles managed through the admin API (loaded from the database)
+let customProfiles = [];
+
+/**
+ * Fill in defaults for missing profile fields
+ * @param {object} profile - Stored or built-in profile
+ * @returns {object}
+ */
+function normalizeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name || null,
+    pattern: profile.pattern.toLowerCase(),
+    headers: profile.headers || {},
+    cookies: profile.cookies || {},
+    user_agent: profile.user_agent || null,
+    accept_language: profile.accept_language || null,
+    min_delay_ms: profile.min_delay_ms || 0,
+    include_selector: profile.include_selector || null,
+    exclude_selectors: profile.exclude_selectors || []
+  };
+}
+
+/**
+ * Replace the custom profiles used for matching
+ * @param {object[]} profiles - Rows from the database
+ */
+export function setCustomProfiles(profiles) {
+  customProfiles = profiles.map(profile => ({ ...normalizeProfile(profile), builtin: false }));
+}
+
+/**
+ * All active profiles, built-in ones first
+ * @returns {object[]}
+ */
+export function listProfiles() {
+  const overridden = new Set(customProfiles.map(profile => profile.pattern));
+  return [
+    ...BUILTIN_PROFILES.filter(profile => !overridden.has(profile.pattern)),
+    ...customProfiles
+  ];
+}
+
+/**
+ * Check whether a hostname matches a profile pattern
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pattern - e.g. ptt.cc or *.example.com
+ * @returns {boolean}
+ */
+export function matchesPattern(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.substring(1));
+  }
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * Find the profile that applies to a URL
+ * @param {string} url - Request URL
+ * @returns {object|null} - Most specific matching profile
+ */
+export function findProfile(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+  } catch {
+    return null;
+  }
+
+  return listProfiles()
+    .filter(profile => matchesPattern(hostname, profile.pattern))
+    .sort((a, b) => b.pattern.length - a.pattern.length)[0] || null;
+}
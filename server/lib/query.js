@@ -0,0 +1,386 @@
+/**
+ * Keyword Query Language
+ * Boolean keyword expressions evaluated against extracted page text
+ *
+ * Syntax (operators are uppercase):
+ *   layoff AND (Google OR Meta) NOT rumor
+ *   "exact phrase"      - quoted phrase (case-insensitive substring)
+ *   =AI                 - whole word only (also ="whole phrase")
+ *   /lay-?offs?/i       - regular expression, run with a timeout
+ *   machine learning    - bare words form one literal phrase, so plain
+ *                         keywords keep matching exactly as before
+ * Adjacent terms without an operator are combined with AND.
+ */
+
+import vm from 'vm';
+
+// Query limits
+const MAX_QUERY_TERMS = 20;
+const MAX_QUERY_DEPTH = 10;
+const MAX_REGEX_LENGTH = 200;
+const REGEX_FLAGS = /^[imsu]*$/;
+const REGEX_TIMEOUT = parseInt(process.env.REGEX_TIMEOUT) || 50; // ms per evaluation
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Regex evaluation runs in a separate context so a runaway pattern can be interrupted
+const regexContext = vm.createContext({ re: null, text: '', limit: 0, hits: null });
+const regexTest = new vm.Script('re.test(text)');
+const regexHits = new vm.Script(`{
+  hits = [];
+  let match;
+  while (hits.length < limit && (match = re.exec(text)) !== null) {
+    hits.push({ index: match.index, length: match[0].length });
+    if (match[0].length === 0) re.lastIndex++;
+  }
+}`);
+
+/**
+ * Split a query into tokens
+ * @param {string} source - Query text
+ * @returns {object[]} - Tokens ({ type, value })
+ * @throws {Error} - On unterminated quotes or regexes
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) throw new Error('Unterminated quoted phrase');
+      tokens.push({ type: 'phrase', value: source.substring(i + 1, end) });
+      i = end + 1;
+    } else if (char === '=') {
+      // Word-boundary term: =word or ="phrase"
+      let value;
+      if (source[i + 1] === '"') {
+        const end = source.indexOf('"', i + 2);
+        if (end === -1) throw new Error('Unterminated quoted phrase');
+        value = source.substring(i + 2, end);
+        i = end + 1;
+      } else {
+        const match = source.substring(i + 1).match(/^[^\s()"]+/);
+        if (!match) throw new Error('Expected a word after "="');
+        value = match[0];
+        i += 1 + value.length;
+      }
+      tokens.push({ type: 'word', value });
+    } else if (char === '/') {
+      // Regex literal: find the closing slash outside escapes and character classes
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        else if (source[j] === '/' && !inClass) break;
+        j++;
+      }
+      if (j >= source.length) throw new Error('Unterminated regular expression');
+      const flags = source.substring(j + 1).match(/^[a-z]*/)[0];
+      tokens.push({ type: 'regex', pattern: source.substring(i + 1, j), flags });
+      i = j + 1 + flags.length;
+    } else {
+      const value = source.substring(i).match(/^[^\s()"]+/)[0];
+      tokens.push(OPERATORS.has(value) ? { type: value } : { type: 'bare', value });
+      i += value.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a term node
+ * @param {string} kind - literal | word | regex
+ * @param {string} label - Source text of the term, used in errors
+ * @param {string} value - Lowercased needle (literal) or raw text
+ * @param {RegExp} [re] - Global pattern for word and regex terms
+ * @returns {object}
+ */
+function term(kind, label, value, re = null) {
+  return { type: 'term', kind, label, value, re };
+}
+
+/**
+ * Parse a query into an expression tree
+ * @param {string} source - Query text
+ * @returns {object} - Root node
+ * @throws {Error} - With a message describing the syntax problem
+ */
+export function parseQuery(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Query must be a non-empty string');
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+  let termCount = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const addTerm = (node) => {
+    if (++termCount > MAX_QUERY_TERMS) {
+      throw new Error(`Query must have at most ${MAX_QUERY_TERMS} terms`);
+    }
+    return node;
+  };
+
+  function parseOr(depth) {
+    let node = parseAnd(depth);
+    while (peek()?.type === 'OR') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd(depth) };
+    }
+    return node;
+  }
+
+  function parseAnd(depth) {
+    let node = parseUnary(depth);
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === 'OR' || token.type === ')') return node;
+
+      if (token.type === 'AND') next();
+      // "A NOT B" reads as "A AND NOT B"; adjacent terms are an implicit AND
+      node = { type: 'and', left: node, right: parseUnary(depth) };
+    }
+  }
+
+  function parseUnary(depth) {
+    if (peek()?.type === 'NOT') {
+      next();
+      return { type: 'not', operand: parseUnary(depth) };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parsePrimary(depth) {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of query');
+
+    switch (token.type) {
+      case '(': {
+        if (depth >= MAX_QUERY_DEPTH) {
+          throw new Error(`Query nesting must be at most ${MAX_QUERY_DEPTH} levels`);
+        }
+        const node = parseOr(depth + 1);
+        if (next()?.type !== ')') throw new Error('Missing closing parenthesis');
+        return node;
+      }
+      case 'phrase':
+        if (!token.value.trim()) throw new Error('Empty quoted phrase');
+        return addTerm(term('literal', `"${token.value}"`, token.value.toLowerCase()));
+      case 'word': {
+        const re = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(token.value)}(?![\\p{L}\\p{N}_])`, 'giu');
+        return addTerm(term('word', `=${token.value}`, token.value, re));
+      }
+      case 'regex':
+        return addTerm(term('regex', `/${token.pattern}/${token.flags}`, token.pattern, compileRegex(token)));
+      case 'bare': {
+        // Consecutive bare words form one literal phrase (legacy keyword behavior)
+        const words = [token.value];
+        while (peek()?.type === 'bare') words.push(next().value);
+        const value = words.join(' ');
+        return addTerm(term('literal', value, value.toLowerCase()));
+      }
+      default:
+        throw new Error(`Unexpected ${token.type === ')' ? '")"' : token.type}`);
+    }
+  }
+
+  const root = parseOr(0);
+  if (position < tokens.length) {
+    throw new Error('Unexpected ")"');
+  }
+  if (collectTerms(root, true).length === 0) {
+    throw new Error('Query must contain at least one term that is not negated');
+  }
+
+  return root;
+}
+
+/**
+ * Compile a regex token, enforcing the allowed flags
+ * @param {object} token - Regex token
+ * @returns {RegExp}
+ */
+function compileRegex({ pattern, flags }) {
+  if (!pattern) throw new Error('Empty regular expression');
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new Error(`Regular expression must be less than ${MAX_REGEX_LENGTH} characters`);
+  }
+  if (!REGEX_FLAGS.test(flags)) {
+    throw new Error(`Unsupported regex flags "${flags}" (allowed: i, m, s, u)`);
+  }
+  try {
+    return new RegExp(pattern, flags + 'g');
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Collect the term nodes of a tree
+ * @param {object} node - Expression node
+ * @param {boolean} positiveOnly - Skip terms under NOT
+ * @returns {object[]}
+ */
+function collectTerms(node, positiveOnly) {
+  switch (node.type) {
+    case 'term':
+      return [node];
+    case 'not':
+      return positiveOnly ? [] : collectTerms(node.operand, positiveOnly);
+    default:
+      return [...collectTerms(node.left, positiveOnly), ...collectTerms(node.right, positiveOnly)];
+  }
+}
+
+/**
+ * Run a pattern under the regex timeout
+ * @param {vm.Script} script - regexTest or regexHits
+ * @param {RegExp} re - Pattern (global)
+ * @param {string} text - Text to search
+ * @param {number} limit - Max hits (regexHits only)
+ * @param {string} label - Term label for error messages
+ * @returns {*} - Script result
+ */
+function runGuarded(script, re, text, limit, label) {
+  re.lastIndex = 0;
+  Object.assign(regexContext, { re, text, limit, hits: null });
+  try {
+    const result = script.runInContext(regexContext, { timeout: REGEX_TIMEOUT });
+    if (script !== regexHits) return result;
+    // Copy hits out of the sandbox realm
+    return regexContext.hits.map(({ index, length }) => ({ index, length }));
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Regex timed out: ${label}`);
+    }
+    throw error;
+  } finally {
+    Object.assign(regexContext, { re: null, text: '', hits: null });
+  }
+}
+
+/**
+ * Find a term's occurrences
+ * @param {object} node - Term node
+ * @param {string} text - Original text
+ * @param {string} lowerText - Lowercased text
+ * @param {number} limit - Max hits
+ * @returns {Array<{index: number, length: number}>}
+ */
+function findTermHits(node, text, lowerText, limit) {
+  if (node.kind === 'literal') {
+    const hits = [];
+    let index = 0;
+    while (hits.length < limit && (index = lowerText.indexOf(node.value, index)) !== -1) {
+      hits.push({ index, length: node.value.length });
+      index += node.value.length;
+    }
+    return hits;
+  }
+  if (node.kind === 'regex') {
+    return runGuarded(regexHits, node.re, text, limit, node.label);
+  }
+
+  const hits = [];
+  node.re.lastIndex = 0;
+  let match;
+  while (hits.length < limit && (match = node.re.exec(text)) !== null) {
+    hits.push({ index: match.index, length: match[0].length });
+  }
+  return hits;
+}
+
+/**
+ * Check whether a term occurs at all
+ * @param {object} node - Term node
+ * @param {string} text - Original text
+ * @param {string} lowerText - Lowercased text
+ * @returns {boolean}
+ */
+function testTerm(node, text, lowerText) {
+  if (node.kind === 'literal') return lowerText.includes(node.value);
+  if (node.kind === 'regex') return runGuarded(regexTest, node.re, text, 0, node.label);
+  node.re.lastIndex = 0;
+  return node.re.test(text);
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {object} node - Expression node
+ * @param {string} text - Original text
+ * @param {string} lowerText - Lowercased text
+ * @returns {boolean}
+ */
+function evaluate(node, text, lowerText) {
+  switch (node.type) {
+    case 'term':
+      return testTerm(node, text, lowerText);
+    case 'not':
+      return !evaluate(node.operand, text, lowerText);
+    case 'and':
+      return evaluate(node.left, text, lowerText) && evaluate(node.right, text, lowerText);
+    default:
+      return evaluate(node.left, text, lowerText) || evaluate(node.right, text, lowerText);
+  }
+}
+
+/**
+ * Compile a keyword into a matcher
+ * Keywords that fail to parse (stored before the query language existed)
+ * fall back to a plain case-insensitive substring.
+ * @param {string} keyword - Keyword or query
+ * @returns {{keyword: string, test: function(string): boolean, hits: function(string, number): object[]}}
+ *   hits() returns up to `limit` occurrences of each non-negated term, in text order
+ */
+export function compileKeyword(keyword) {
+  let root;
+  try {
+    root = parseQuery(keyword);
+  } catch {
+    root = term('literal', keyword, keyword.toLowerCase());
+  }
+  const positiveTerms = collectTerms(root, true);
+
+  return {
+    keyword,
+    test: (text) => evaluate(root, text, text.toLowerCase()),
+    hits: (text, limit) => {
+      const lowerText = text.toLowerCase();
+      return positiveTerms
+        .flatMap(node => findTermHits(node, text, lowerText, limit))
+        .sort((a, b) => a.index - b.index);
+    }
+  };
+}
+
+/**
+ * Check a keyword query without running it
+ * @param {string} keyword - Keyword or query
+ * @throws {Error} - If the query is malformed
+ */
+export function validateQuery(keyword) {
+  parseQuery(keyword);
+}
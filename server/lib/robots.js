@@ -0,0 +1,174 @@
+/**
+ * robots.txt Compliance
+ * Optional check (RESPECT_ROBOTS=true) run before each target scan
+ *
+ * Follows RFC 9309: groups naming a product token of the User-Agent we
+ * actually send win over "*", the longest matching rule decides, and
+ * Allow wins a tie. A missing robots.txt (4xx) allows everything. When
+ * robots.txt cannot be fetched the scan goes ahead and the file is
+ * retried sooner.
+ */
+
+import { fetchDocument, getUserAgent } from './scraper.js';
+import { setCrawlDelay } from './politeness.js';
+
+export const RESPECT_ROBOTS = process.env.RESPECT_ROBOTS === 'true';
+
+// Cache lifetimes
+const ROBOTS_CACHE_TTL = parseInt(process.env.ROBOTS_CACHE_TTL) || 24 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL = 10 * 60 * 1000;  // Retry unreachable robots.txt after 10 minutes
+const MAX_CACHED_ORIGINS = 500;
+const MAX_CRAWL_DELAY = 60;               // Seconds; longer delays are capped
+
+// Origin -> { groups, expires }
+const robotsCache = new Map();
+
+/**
+ * Parse robots.txt into user-agent groups
+ * @param {string} text - robots.txt body
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let group = null;
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (key === 'allow' || key === 'disallow')) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: key === 'allow', path: value });
+    } else if (group && key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (delay >= 0) group.crawlDelay = Math.min(delay, MAX_CRAWL_DELAY);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Get the product tokens of a User-Agent
+ * "Mozilla/5.0 (compatible; LastSentinel/1.0)" -> ["mozilla", "lastsentinel"]
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string[]} - Lowercase tokens
+ */
+export function productTokens(userAgent) {
+  const tokens = userAgent.toLowerCase().match(/[a-z_-]+(?=\/|$)/g) || [];
+  return [...new Set(tokens)];
+}
+
+/**
+ * Merge the groups that apply to a User-Agent
+ * @param {object[]} groups - From parseRobots
+ * @param {string} userAgent - User-Agent sent to the site
+ * @returns {{rules: object[], crawlDelay: number|null}}
+ */
+export function selectGroup(groups, userAgent) {
+  const tokens = productTokens(userAgent);
+  let matched = groups.filter(group => group.agents.some(agent => tokens.includes(agent)));
+  if (matched.length === 0) {
+    matched = groups.filter(group => group.agents.includes('*'));
+  }
+
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: matched.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+  };
+}
+
+/**
+ * Check whether a rule path matches a request path
+ * Supports "*" wildcards and a trailing "$" end anchor.
+ * @param {string} pattern - Rule path
+ * @param {string} path - Request path with query string
+ * @returns {boolean}
+ */
+function matchesRule(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Find the rule deciding a path
+ * @param {object[]} rules - Rules of the selected group
+ * @param {string} path - Request path with query string
+ * @returns {{allow: boolean, path: string}|null} - Longest matching rule, Allow on a tie
+ */
+export function findRule(rules, path) {
+  if (path === '/robots.txt') return null;
+
+  let decisive = null;
+  for (const rule of rules) {
+    if (!matchesRule(rule.path, path)) continue;
+    if (!decisive || rule.path.length > decisive.path.length
+      || (rule.path.length === decisive.path.length && rule.allow)) {
+      decisive = rule;
+    }
+  }
+  return decisive;
+}
+
+/**
+ * Get parsed robots.txt groups for an origin (cached)
+ * @param {string} origin - e.g. https://example.com
+ * @returns {Promise<object[]>}
+ */
+async function getGroups(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expires > Date.now()) return cached.groups;
+
+  let groups = [];
+  let ttl = ROBOTS_CACHE_TTL;
+  try {
+    const { body } = await fetchDocument(`${origin}/robots.txt`);
+    groups = parseRobots(body);
+  } catch (error) {
+    // 4xx: no robots.txt, everything allowed. Anything else: try again soon
+    if (!(error.status >= 400 && error.status < 500)) {
+      console.warn(`[ROBOTS] Could not fetch ${origin}/robots.txt: ${error.message}`);
+      ttl = ROBOTS_ERROR_TTL;
+    }
+  }
+
+  if (robotsCache.size >= MAX_CACHED_ORIGINS) {
+    robotsCache.delete(robotsCache.keys().next().value);
+  }
+  robotsCache.set(origin, { groups, expires: Date.now() + ttl });
+  return groups;
+}
+
+/**
+ * Check whether robots.txt lets us fetch a URL
+ * Also hands the site's Crawl-delay to the politeness schedule.
+ * @param {string} url - Target URL
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+export async function checkRobots(url) {
+  const { origin, hostname, pathname, search } = new URL(url);
+  const { rules, crawlDelay } = selectGroup(await getGroups(origin), getUserAgent(url));
+
+  setCrawlDelay(hostname, crawlDelay ? crawlDelay * 1000 : null);
+
+  const rule = findRule(rules, pathname + search);
+  if (rule && !rule.allow) {
+    return { allowed: false, reason: `Disallowed by robots.txt (Disallow: ${rule.path})` };
+  }
+  return { allowed: true, reason: null };
+}
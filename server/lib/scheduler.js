@@ -0,0 +1,66 @@
+/**
+ * Target Scheduler
+ * Computes per-target due times from last_check and check_interval
+ */
+
+import crypto from 'crypto';
+
+// Scheduling configuration
+const DEFAULT_CHECK_INTERVAL = Math.floor((parseInt(process.env.SCRAPE_INTERVAL) || 60000) / 1000); // seconds
+const MIN_CHECK_INTERVAL = 60;       // seconds
+const JITTER_RATIO = 0.1;            // ±10% of the interval
+
+/**
+ * Resolve a target's check interval in milliseconds
+ * @param {object} target - Watch target row
+ * @returns {number} - Interval in ms
+ */
+export function getIntervalMs(target) {
+  const seconds = parseInt(target.check_interval) || DEFAULT_CHECK_INTERVAL;
+  return Math.max(MIN_CHECK_INTERVAL, seconds) * 1000;
+}
+
+/**
+ * Deterministic jitter for a target's current cycle
+ * Seeded by target id + last check so the due time stays stable between ticks
+ * @param {object} target - Watch target row
+ * @param {number} intervalMs - Target interval in ms
+ * @returns {number} - Offset in ms within ±JITTER_RATIO of the interval
+ */
+export function getJitterMs(target, intervalMs) {
+  const seed = `${target.id}:${target.last_check || ''}`;
+  const digest = crypto.createHash('sha256').update(seed).digest();
+  const fraction = digest.readUInt32BE(0) / 0xFFFFFFFF; // 0..1
+  return Math.round((fraction * 2 - 1) * JITTER_RATIO * intervalMs);
+}
+
+/**
+ * Compute when a target is next due
+ * @param {object} target - Watch target row
+ * @param {number} [lastAttempt] - In-memory timestamp of the last attempt (ms)
+ * @returns {number} - Due time in ms since epoch (0 = never checked, due now)
+ */
+export function getNextDueTime(target, lastAttempt = 0) {
+  const lastCheck = target.last_check ? new Date(target.last_check).getTime() : 0;
+  const lastRun = Math.max(lastCheck || 0, lastAttempt || 0);
+
+  if (!lastRun) return 0;
+
+  const intervalMs = getIntervalMs(target);
+  return lastRun + intervalMs + getJitterMs(target, intervalMs);
+}
+
+/**
+ * Filter the targets that are due at the given time
+ * @param {object[]} targets - Watch target rows
+ * @param {Map<string, number>} lastAttempts - Target id -> last attempt (ms)
+ * @param {number} [now] - Current time in ms
+ * @returns {object[]} - Due targets, most overdue first
+ */
+export function getDueTargets(targets, lastAttempts = new Map(), now = Date.now()) {
+  return targets
+    .map(target => ({ target, dueAt: getNextDueTime(target, lastAttempts.get(target.id)) }))
+    .filter(({ dueAt }) => dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .map(({ target }) => target);
+}
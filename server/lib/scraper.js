@@ -5,11 +5,17 @@
 
 import { load } from 'cheerio';
 import crypto from 'crypto';
+import fetch, { isRedirect } from 'node-fetch';
+import { compileKeyword } from './query.js';
+import { parseIpv4, isBlockedAddress, guardedAgent } from './netguard.js';
+import { findProfile } from './profiles.js';
+import { waitForHost } from './politeness.js';
 
 // Configuration
 const USER_AGENT = process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 const MAX_CONTENT_LENGTH = parseInt(process.env.MAX_CONTENT_LENGTH) || 500000;
 const SCRAPE_TIMEOUT = parseInt(process.env.SCRAPE_TIMEOUT) || 15000; // 15 seconds
+const MAX_REDIRECTS = parseInt(process.env.MAX_REDIRECTS) || 5;
 
 // Text extraction limits
 const MAX_TEXT_LENGTH = 50000;       // Max characters to extract from page
@@ -17,6 +23,26 @@ const CONTEXT_RADIUS = 200;          // Characters around keyword in excerpts
 const MAX_OCCURRENCES = 3;           // Max keyword occurrences to extract
 const MAX_EXCERPT_LENGTH = 3000;     // Max total excerpt length
 
+// Elements stripped from every page before text extraction
+const DEFAULT_EXCLUDES = 'script, style, nav, footer, header, aside, .ad, .advertisement, .sidebar';
+
+// Selector scoping limits
+export const MAX_SELECTOR_LENGTH = 200;
+export const MAX_EXCLUDE_SELECTORS = 10;
+
+// New-occurrence detection
+const OCCURRENCE_RADIUS = 40;        // Characters around keyword that identify an occurrence
+const MAX_COMPARED_OCCURRENCES = 50; // Max occurrences per keyword compared between scans
+const SENTENCE_BOUNDARY = /[.!?。！？；;]/;
+
+// Charset detection
+const CHARSET_SNIFF_BYTES = 1024;    // Bytes searched for <meta charset> / <?xml encoding?>
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
 /**
  * Validate URL to prevent SSRF attacks
  * @param {string} urlString - The URL to validate
@@ -44,11 +70,11 @@ export function validateUrl(urlString) {
     throw new Error('Access to localhost is not allowed');
   }
 
-  // Block internal IP ranges
-  const ipRegex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-  const match = hostname.match(ipRegex);
-  if (match) {
-    const [, a, b] = match.map(Number);
+  // Block internal IP ranges (decimal, octal and hex forms included)
+  const ipv4 = parseIpv4(hostname);
+  if (ipv4 !== null) {
+    const a = ipv4 >>> 24;
+    const b = (ipv4 >>> 16) & 255;
     // 10.x.x.x (Private)
     if (a === 10) {
       throw new Error('Access to private IP range (10.x.x.x) is not allowed');
@@ -81,105 +107,340 @@ export function validateUrl(urlString) {
     throw new Error('Access to cloud metadata endpoints is not allowed');
   }
 
+  // Every other reserved range, IPv6 and IPv4-mapped IPv6 literals included.
+  // Names are checked again after DNS resolution (see netguard.js)
+  if (isBlockedAddress(hostname)) {
+    throw new Error('Access to reserved IP address is not allowed');
+  }
+
   return url.href;
 }
 
 /**
- * Build headers for specific sites (handles anti-scraping)
+ * Get the User-Agent sent to a URL (domain profile, else USER_AGENT)
+ * @param {string} url - Target URL
+ * @returns {string}
+ */
+export function getUserAgent(url) {
+  return findProfile(url)?.user_agent || USER_AGENT;
+}
+
+/**
+ * Build headers for a request, applying the host's domain profile
  * @param {string} url - Target URL
  * @returns {object} - Headers object
  */
 function getHeaders(url) {
+  const profile = findProfile(url);
   const headers = {
-    'User-Agent': USER_AGENT,
+    'User-Agent': getUserAgent(url),
     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'zh-TW,zh;q=0.9,en-US;q=0.8,en;q=0.7',
+    'Accept-Language': profile?.accept_language || 'zh-TW,zh;q=0.9,en-US;q=0.8,en;q=0.7',
     'Accept-Encoding': 'gzip, deflate, br',
     'Connection': 'keep-alive',
     'Upgrade-Insecure-Requests': '1',
+    ...profile?.headers
   };
 
-  // PTT 需要 over18 cookie 繞過年齡驗證
-  if (url.includes('ptt.cc')) {
-    headers['Cookie'] = 'over18=1';
+  // Site quirks (e.g. PTT's over18 cookie) come from the domain profile
+  const cookies = Object.entries(profile?.cookies || {});
+  if (cookies.length > 0) {
+    headers['Cookie'] = cookies.map(([name, value]) => `${name}=${value}`).join('; ');
   }
 
   return headers;
 }
 
 /**
- * Fetch and parse a webpage
+ * Check a CSS selector used to scope a target
+ * @param {string} selector - CSS selector
+ * @throws {Error} - If the selector is empty, too long or cannot be parsed
+ */
+export function validateSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error('Selector must be a non-empty string');
+  }
+  if (selector.length > MAX_SELECTOR_LENGTH) {
+    throw new Error(`Selector must be less than ${MAX_SELECTOR_LENGTH} characters`);
+  }
+
+  try {
+    load('').root().find(selector);
+  } catch (error) {
+    throw new Error(`Invalid selector "${selector}": ${error.message}`);
+  }
+}
+
+/**
+ * Extract normalized text from HTML
+ * @param {string} html - Raw HTML
+ * @param {object} [scope] - Selector scoping
+ * @param {string} [scope.includeSelector] - Only read text inside matching elements
+ * @param {string[]} [scope.excludeSelectors] - Extra elements to strip
+ * @returns {string}
+ * @throws {Error} - If the include selector matches nothing
+ */
+export function extractText(html, { includeSelector = null, excludeSelectors = [] } = {}) {
+  const $ = load(html);
+
+  // Remove the elements the caller asked to strip
+  for (const selector of excludeSelectors) {
+    $.root().find(selector).remove();
+  }
+
+  // Extract text from the included region, or the whole body
+  let region = $('body');
+  if (includeSelector) {
+    region = $.root().find(includeSelector);
+    if (region.length === 0) {
+      throw new Error(`Include selector matched nothing: ${includeSelector}`);
+    }
+  }
+
+  // Strip page chrome inside the region only, so an include selector that
+  // points into a header or sidebar still reads its own content
+  region.find(DEFAULT_EXCLUDES).remove();
+
+  return region.map((_, element) => $(element).text()).get().join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Read a response body with a hard size cap
+ * The download is aborted as soon as the cap is exceeded, so a missing or
+ * understated content-length cannot make the scraper buffer an unbounded body.
+ * @param {AsyncIterable<Buffer>} stream - Response body stream
+ * @param {number} [limit] - Max bytes (after decompression)
+ * @returns {Promise<Buffer>}
+ * @throws {Error} - If the body exceeds the limit
+ */
+export async function readBody(stream, limit = MAX_CONTENT_LENGTH) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy?.();
+      throw new Error('Content too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Detect the character encoding of a response body
+ * Order follows the HTML spec: byte order mark, then the Content-Type
+ * header, then <meta charset> (or the XML declaration for feeds).
+ * @param {Buffer} buffer - Raw body
+ * @param {string|null} [contentType] - Content-Type header
+ * @returns {string} - Encoding label, utf-8 when nothing is declared
+ */
+export function detectCharset(buffer, contentType = null) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (bom) return bom.charset;
+
+  const fromHeader = contentType?.match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  if (fromHeader) return fromHeader[1].toLowerCase();
+
+  // <meta charset="big5">, <meta http-equiv="Content-Type" content="text/html; charset=big5"> or <?xml encoding="big5"?>
+  const head = buffer.subarray(0, CHARSET_SNIFF_BYTES).toString('latin1');
+  const fromDocument = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i)
+    || head.match(/^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i);
+  if (fromDocument) return fromDocument[1].toLowerCase();
+
+  return 'utf-8';
+}
+
+/**
+ * Decode a response body to text using its declared encoding
+ * @param {Buffer} buffer - Raw body
+ * @param {string|null} [contentType] - Content-Type header
+ * @returns {string}
+ */
+export function decodeBody(buffer, contentType = null) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(detectCharset(buffer, contentType));
+  } catch {
+    // Unknown encoding label: read it as UTF-8 rather than failing the scan
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Resolve a redirect Location header and validate it like a target URL
+ * @param {string|null} location - Location header value
+ * @param {string} currentUrl - URL that answered with the redirect
+ * @returns {string} - Validated absolute URL of the next hop
+ * @throws {Error} - If the location is missing or points to internal resources
+ */
+export function resolveRedirect(location, currentUrl) {
+  if (!location) {
+    throw new Error('Redirect without Location header');
+  }
+
+  let nextUrl;
+  try {
+    nextUrl = new URL(location, currentUrl).href;
+  } catch {
+    throw new Error(`Invalid redirect location: ${location}`);
+  }
+
+  try {
+    return validateUrl(nextUrl);
+  } catch (error) {
+    throw new Error(`Redirect to ${nextUrl} blocked: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch a document body as text
+ * Sends conditional request headers when validators from a previous
+ * response are given; a 304 comes back as `notModified` with no body.
+ * Redirects are followed by hand (up to MAX_REDIRECTS) so every hop goes
+ * through the same SSRF validation as the target URL. The body is read
+ * under MAX_CONTENT_LENGTH and decoded with its declared charset. The
+ * first request waits for the host's slot in the shared politeness schedule,
+ * unless the caller already claimed it (see claimSlot).
  * @param {string} url - Target URL
- * @returns {Promise<{text: string, hash: string}>}
+ * @param {object} [validators]
+ * @param {string} [validators.etag] - ETag from the last response
+ * @param {string} [validators.lastModified] - Last-Modified from the last response
+ * @param {boolean} [validators.hostSlotClaimed] - The host's slot is already taken for this request
+ * @returns {Promise<{body: string|null, notModified: boolean, etag: string|null, lastModified: string|null, bytes: number, finalUrl: string, redirects: string[]}>}
+ *   `redirects` lists every hop after the target URL; `finalUrl` is the one that answered.
  */
-export async function scrape(url) {
+export async function fetchDocument(url, { etag = null, lastModified = null, hostSlotClaimed = false } = {}) {
   // Validate URL to prevent SSRF attacks
   const validatedUrl = validateUrl(url);
+  // Shared per-host schedule: every user's requests to a site are spaced out
+  if (!hostSlotClaimed) {
+    await waitForHost(validatedUrl, findProfile(validatedUrl)?.min_delay_ms);
+  }
+  const signal = AbortSignal.timeout(SCRAPE_TIMEOUT);
+  const redirects = [];
+  let currentUrl = validatedUrl;
 
   try {
-    const response = await fetch(validatedUrl, {
-      headers: getHeaders(validatedUrl),
-      signal: AbortSignal.timeout(SCRAPE_TIMEOUT)
-    });
+    let response;
+    for (;;) {
+      const headers = getHeaders(currentUrl);
+      if (etag) headers['If-None-Match'] = etag;
+      if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+      response = await fetch(currentUrl, {
+        headers,
+        agent: guardedAgent,
+        redirect: 'manual',
+        signal
+      });
+
+      if (!isRedirect(response.status)) break;
+
+      // Discard the redirect body and validate the next hop before connecting
+      response.body?.resume();
+      if (redirects.length >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+      }
+      currentUrl = resolveRedirect(response.headers.get('location'), currentUrl);
+      redirects.push(currentUrl);
+    }
+
+    // Unchanged since the last scan: keep the old validators
+    if (response.status === 304) {
+      return { body: null, notModified: true, etag, lastModified, bytes: 0, finalUrl: currentUrl, redirects };
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
     }
 
-    // Check content length
+    // Reject early when the server announces an oversized body
     const contentLength = response.headers.get('content-length');
     if (contentLength && parseInt(contentLength) > MAX_CONTENT_LENGTH) {
       throw new Error('Content too large');
     }
 
-    const html = await response.text();
-
-    // Parse HTML and extract text
-    const $ = load(html);
-
-    // Remove unwanted elements
-    $('script, style, nav, footer, header, aside, .ad, .advertisement, .sidebar').remove();
-
-    // Extract text from body
-    const text = $('body').text()
-      .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, MAX_TEXT_LENGTH);
-
-    // Generate hash for change detection using SHA-256 (more secure than MD5)
-    const hash = crypto.createHash('sha256').update(text).digest('hex');
-
-    return { text, hash };
+    const raw = await readBody(response.body);
+    const body = decodeBody(raw, response.headers.get('content-type'));
+
+    return {
+      body,
+      notModified: false,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      bytes: parseInt(contentLength) || raw.length,
+      finalUrl: currentUrl,
+      redirects
+    };
   } catch (error) {
     console.error(`Scrape error for ${validatedUrl}:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Fetch and parse a webpage
+ * @param {string} url - Target URL
+ * @param {object} [options] - Selector scoping (see extractText) and validators (see fetchDocument)
+ * @returns {Promise<{text: string|null, hash: string|null, notModified: boolean, http: object}>}
+ */
+export async function scrape(url, options = {}) {
+  const { body, notModified, ...http } = await fetchDocument(url, options);
+  if (notModified) {
+    return { text: null, hash: null, notModified, http };
+  }
+
+  // Parse HTML and extract text from the scoped region; the domain profile
+  // supplies an include selector and extra excludes for well-known sites
+  const profile = findProfile(url);
+  const text = extractText(body, {
+    includeSelector: options.includeSelector || profile?.include_selector,
+    excludeSelectors: [...(profile?.exclude_selectors || []), ...(options.excludeSelectors || [])]
+  });
+
+  // Generate hash for change detection using SHA-256 (more secure than MD5)
+  const hash = crypto.createHash('sha256').update(text).digest('hex');
+
+  return { text, hash, notModified, http };
+}
+
 /**
  * Check if content has changed and contains keywords
  * @param {string} url - Target URL
  * @param {string[]} keywords - Keywords to search for
  * @param {string} lastHash - Previous content hash
- * @returns {Promise<{changed: boolean, matches: string[], content: string, hash: string}>}
+ * @param {object} [options] - Selector scoping and validators, passed to scrape
+ * @returns {Promise<{changed: boolean, notModified: boolean, matches: string[], content: string, hash: string, text: string, http: object}>}
  */
-export async function checkForSignal(url, keywords, lastHash) {
-  const { text, hash } = await scrape(url);
+export async function checkForSignal(url, keywords, lastHash, options = {}) {
+  const { text, hash, notModified, http } = await scrape(url, options);
+
+  // 304: nothing to parse, same content as last time
+  if (notModified) {
+    return { changed: false, notModified, matches: [], content: '', hash: lastHash, text, http };
+  }
 
   // Check if content changed
   const changed = hash !== lastHash;
 
   if (!changed) {
-    return { changed: false, matches: [], content: '', hash };
+    return { changed: false, notModified, matches: [], content: '', hash, text, http };
   }
 
-  // Search for keywords (case-insensitive)
-  const matches = keywords.filter(keyword =>
-    text.toLowerCase().includes(keyword.toLowerCase())
-  );
+  // Evaluate each keyword query (plain keywords are case-insensitive substrings)
+  const matches = keywords.filter(keyword => compileKeyword(keyword).test(text));
 
   if (matches.length === 0) {
-    return { changed: true, matches: [], content: '', hash };
+    return { changed: true, notModified, matches: [], content: '', hash, text, http };
   }
 
   // Extract relevant content around keywords
@@ -189,10 +450,32 @@ export async function checkForSignal(url, keywords, lastHash) {
     changed: true,
     matches,
     content: relevantContent,
-    hash
+    hash,
+    text,
+    notModified,
+    http
   };
 }
 
+/**
+ * Cut an excerpt around one term occurrence
+ * @param {string} text - Full text content
+ * @param {{index: number, length: number}} hit - Occurrence position
+ * @returns {string}
+ */
+function excerptAt(text, { index, length }) {
+  const start = Math.max(0, index - CONTEXT_RADIUS);
+  const end = Math.min(text.length, index + length + CONTEXT_RADIUS);
+
+  let excerpt = text.substring(start, end).trim();
+
+  // Add ellipsis if truncated
+  if (start > 0) excerpt = '...' + excerpt;
+  if (end < text.length) excerpt = excerpt + '...';
+
+  return excerpt;
+}
+
 /**
  * Extract content around matched keywords
  * @param {string} text - Full text content
@@ -201,33 +484,71 @@ export async function checkForSignal(url, keywords, lastHash) {
  */
 function extractRelevantContent(text, keywords) {
   const excerpts = [];
-  const contextRadius = CONTEXT_RADIUS;
 
   for (const keyword of keywords) {
-    const lowerText = text.toLowerCase();
-    const lowerKeyword = keyword.toLowerCase();
-    let index = 0;
+    // Find up to 3 occurrences of each matched term
+    for (const hit of compileKeyword(keyword).hits(text, MAX_OCCURRENCES)) {
+      excerpts.push(excerptAt(text, hit));
+    }
+  }
 
-    // Find up to 3 occurrences per keyword
-    let occurrences = 0;
-    while ((index = lowerText.indexOf(lowerKeyword, index)) !== -1 && occurrences < MAX_OCCURRENCES) {
-      const start = Math.max(0, index - contextRadius);
-      const end = Math.min(text.length, index + keyword.length + contextRadius);
+  // Join excerpts and limit total length
+  return excerpts.join('\n\n---\n\n').substring(0, MAX_EXCERPT_LENGTH);
+}
 
-      let excerpt = text.substring(start, end).trim();
+/**
+ * Normalized text immediately around an occurrence, cut at sentence
+ * boundaries, used to tell occurrences apart between scans regardless
+ * of where they moved on the page
+ * @param {string} text - Full text content
+ * @param {{index: number, length: number}} hit - Occurrence position
+ * @returns {string}
+ */
+function occurrenceContext(text, { index, length }) {
+  const before = text.substring(Math.max(0, index - OCCURRENCE_RADIUS), index);
+  const after = text.substring(index + length, index + length + OCCURRENCE_RADIUS);
+
+  return (before.split(SENTENCE_BOUNDARY).pop() + text.substring(index, index + length) + after.split(SENTENCE_BOUNDARY)[0])
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Keep only keyword occurrences that did not exist in the previous text
+ * An occurrence is new when its surrounding context is not found around
+ * any occurrence of the same term in the previous scan.
+ * @param {string} text - Current text content
+ * @param {string} previousText - Text from the previous snapshot
+ * @param {string[]} keywords - Matched keywords
+ * @returns {{matches: string[], content: string}} - Keywords with new occurrences and their excerpts
+ */
+export function findNewOccurrences(text, previousText, keywords) {
+  const matches = [];
+  const excerpts = [];
 
-      // Add ellipsis if truncated
-      if (start > 0) excerpt = '...' + excerpt;
-      if (end < text.length) excerpt = excerpt + '...';
+  for (const keyword of keywords) {
+    const matcher = compileKeyword(keyword);
+    const seen = new Set(
+      matcher.hits(previousText, MAX_COMPARED_OCCURRENCES)
+        .map(hit => occurrenceContext(previousText, hit))
+    );
 
-      excerpts.push(excerpt);
-      index += keyword.length;
-      occurrences++;
+    const fresh = matcher.hits(text, MAX_COMPARED_OCCURRENCES)
+      .filter(hit => !seen.has(occurrenceContext(text, hit)));
+
+    if (fresh.length === 0) continue;
+
+    matches.push(keyword);
+    for (const hit of fresh.slice(0, MAX_OCCURRENCES)) {
+      excerpts.push(excerptAt(text, hit));
     }
   }
 
-  // Join excerpts and limit total length
-  return excerpts.join('\n\n---\n\n').substring(0, MAX_EXCERPT_LENGTH);
+  return {
+    matches,
+    content: excerpts.join('\n\n---\n\n').substring(0, MAX_EXCERPT_LENGTH)
+  };
 }
 
 /**
@@ -3,26 +3,374 @@
  * Manages the monitoring loop and signal detection
  */
 
-import { checkForSignal, generateNoise } from './scraper.js';
-import { targets, signals, ai } from './insforge.js';
+import { checkForSignal, findNewOccurrences, generateNoise } from './scraper.js';
+import { targets, signals, sentinels, snapshots, ai } from './storage.js';
+import { getDueTargets } from './scheduler.js';
+import { createWorkerPool } from './pool.js';
+import { publish } from './broadcast.js';
+import { isDemoUser } from './demo.js';
+import { buildSnapshot, getRetention, decompressText } from './snapshots.js';
+import { diffText } from './diff.js';
+import { checkFeed } from './feed.js';
+import { checkJson } from './jsonpath.js';
+import { recordScan, getScanStats } from './stats.js';
+import { checkRobots, RESPECT_ROBOTS } from './robots.js';
+import { claimSlot } from './politeness.js';
+import { findProfile } from './profiles.js';
 
 // Active monitoring sessions
 const activeSessions = new Map();
 
-// Concurrency control
-const MAX_CONCURRENT_SCRAPES = 3;
-let activeScrapes = 0;
+// Concurrency control: one pool shared by every user, queued fairly per user
+const MAX_CONCURRENT_SCRAPES = parseInt(process.env.MAX_CONCURRENT_SCRAPES) || 3;
+const scrapePool = createWorkerPool(MAX_CONCURRENT_SCRAPES);
+
+// Users with a scan pass in flight (scheduled or manual)
+const activePasses = new Set();
+
+// How often the scheduler looks for due targets
+const SCHEDULER_TICK = parseInt(process.env.SCHEDULER_TICK) || 10000;
+
+// Background mode: keep every user with active targets under watch
+const BACKGROUND_MONITORING = process.env.BACKGROUND_MONITORING === 'true';
+const BACKGROUND_SYNC_INTERVAL = parseInt(process.env.BACKGROUND_SYNC_INTERVAL) || 5 * 60 * 1000;
+
+// Delay between sessions restored on boot, so targets aren't all hit at once
+const RESUME_STAGGER = parseInt(process.env.RESUME_STAGGER) || 5000;
+
+// Users whose staggered restore hasn't run yet (background sync leaves them alone)
+const pendingResumes = new Set();
 
 /**
- * Start monitoring for a user
+ * Persist a sentinel's monitoring flag (best effort)
+ * @param {string} userId - User ID
+ * @param {boolean} enabled - Whether monitoring should survive restarts
+ */
+async function persistMonitoringState(userId, enabled) {
+  try {
+    await sentinels.setMonitoring(userId, enabled);
+  } catch (error) {
+    console.error(`[SIGNAL] Failed to persist monitoring state for ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Build the signal/noise callbacks that publish to a user's clients
+ * @param {string} userId - User ID
+ * @returns {{onSignal: function, onNoise: function}}
+ */
+function createPublishers(userId) {
+  return {
+    onSignal: (signal) => publish(userId, 'signal', signal),
+    onNoise: (noise, extra = {}) => publish(userId, 'scan', {
+      content: noise,
+      ...extra,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Load the text of the target's latest snapshot (best effort)
+ * Must run before the new snapshot is saved.
+ * @param {object} target - Watch target row
+ * @returns {Promise<string|null>} - Previous text, or null without a previous snapshot
+ */
+async function loadPreviousText(target) {
+  try {
+    const previous = await snapshots.getLatest(target.id);
+    return previous ? decompressText(previous.content) : null;
+  } catch (error) {
+    console.error(`[SIGNAL] Snapshot load error for ${target.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a content snapshot and prune old ones (best effort)
+ * @param {object} target - Watch target row
+ * @param {object} result - checkForSignal result
+ */
+async function saveSnapshot(target, result) {
+  try {
+    await snapshots.create(buildSnapshot(target, result.text, result.hash));
+    await snapshots.prune(target.id, getRetention(target));
+  } catch (error) {
+    console.error(`[SIGNAL] Snapshot error for ${target.id}:`, error.message);
+  }
+}
+
+/**
+ * HTTP validators saved from a target's last response
+ * @param {object} target - Watch target row
+ * @returns {{etag: string|null, lastModified: string|null}}
+ */
+function getValidators(target) {
+  return { etag: target.etag || null, lastModified: target.last_modified || null };
+}
+
+/**
+ * Queue a target's scan on the shared pool
+ * The scan only takes a worker once its host's politeness slot is free, so
+ * a busy or slow host holds back its own targets rather than every worker.
+ * @param {string} userId - User ID (fairness key)
+ * @param {object} target - Watch target row
+ * @param {function(): Promise<boolean>} task - Scan to run; the host slot is already claimed
+ * @returns {Promise<boolean>}
+ */
+function queueScan(userId, target, task) {
+  const claim = () => {
+    try {
+      return claimSlot(new URL(target.url).hostname, findProfile(target.url)?.min_delay_ms);
+    } catch {
+      return 0; // Unparseable URL: let the scan run and report the error
+    }
+  };
+  return scrapePool.run(userId, task, { claim });
+}
+
+/**
+ * Record bandwidth stats for a fetch and build the columns to save with it
+ * @param {string} userId - User ID
+ * @param {object} target - Watch target row
+ * @param {object} result - Check result with `notModified` and `http`
+ * @returns {object} - etag / last_modified / last_content_length columns
+ */
+function trackFetch(userId, target, { notModified, http }) {
+  recordScan(userId, {
+    bytes: http.bytes,
+    // A 304 saves roughly what the last full response cost
+    bytesSaved: notModified ? target.last_content_length || 0 : 0,
+    notModified
+  });
+
+  return {
+    etag: http.etag,
+    last_modified: http.lastModified,
+    ...(!notModified && { last_content_length: http.bytes })
+  };
+}
+
+/**
+ * Analyze, store and publish an intercepted signal
+ * @param {string} userId - User ID
+ * @param {object} target - Watch target row
+ * @param {function} onSignal - Callback for new signals
+ * @param {object} hit
+ * @param {string[]} hit.matches - Matched keywords
+ * @param {string} hit.content - Excerpt or item text
+ * @param {object|null} [hit.diff] - Change since the previous snapshot
+ * @param {object|null} [hit.item] - Feed item ({ title, link, publishedAt })
+ */
+async function recordSignal(userId, target, onSignal, { matches, content, diff = null, item = null }) {
+  let aiAnalysis = null;
+
+  // Run AI analysis if content is available (and InsForge AI is configured)
+  if (content && ai) {
+    aiAnalysis = await ai.analyzeSignal(content, matches);
+  }
+
+  // Save signal to database
+  const signal = await signals.create({
+    target_id: target.id,
+    user_id: userId,
+    content,
+    matched_keywords: matches,
+    ai_summary: aiAnalysis?.summary || null,
+    ai_threat_level: aiAnalysis?.threat_level || 'UNKNOWN',
+    ai_category: aiAnalysis?.category || 'UNKNOWN',
+    source_url: item?.link || target.url,
+    ...(item && {
+      item_title: item.title,
+      item_link: item.link,
+      item_published_at: item.publishedAt
+    })
+  });
+
+  // Notify client
+  onSignal({
+    type: 'SIGNAL_INTERCEPTED',
+    data: {
+      id: signal.id,
+      targetName: target.name || target.url,
+      url: item?.link || target.url,
+      keywords: matches,
+      content,
+      ai: aiAnalysis,
+      diff,
+      item: item && { title: item.title, link: item.link, publishedAt: item.publishedAt },
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Scan a feed target: every unseen item is matched on its own
+ * @param {string} userId - User ID
+ * @param {object} target - Watch target row (target_type = 'feed')
+ * @param {function} onSignal - Callback for new signals
+ * @param {function} onNoise - Callback for noise updates
+ * @returns {Promise<boolean>} - Whether a signal was intercepted
+ */
+async function scanFeedTarget(userId, target, onSignal, onNoise) {
+  const targetName = target.name || target.url;
+  const result = await checkFeed(target.url, target.keywords, target.seen_guids, {
+    ...getValidators(target),
+    hostSlotClaimed: true
+  });
+
+  await targets.updateLastCheck(target.id, result.hash || target.last_hash, trackFetch(userId, target, result));
+  if (result.http.redirects.length > 0) {
+    onNoise(`[FEED] ${targetName} - Redirected to ${result.http.finalUrl}`);
+  }
+  if (result.notModified) {
+    onNoise(`[FEED] ${targetName} - Not modified (304)`);
+    return false;
+  }
+  if (result.newCount > 0) {
+    await targets.updateSeenGuids(target.id, result.seenGuids);
+  }
+
+  for (const match of result.matches) {
+    await recordSignal(userId, target, onSignal, {
+      matches: match.keywords,
+      content: match.content,
+      item: match.item
+    });
+  }
+
+  if (result.skipped > 0) {
+    onNoise(`[FEED] ${targetName} - ${result.skipped} more matching item(s) not reported`);
+  }
+  if (result.matches.length === 0) {
+    onNoise(result.newCount > 0
+      ? `[FEED] ${targetName} - ${result.newCount} new item(s), no signal`
+      : `[FEED] ${targetName} - No new items`);
+  }
+
+  return result.matches.length > 0;
+}
+
+/**
+ * Scan a single target and report the outcome
+ * Runs from queueScan, which has already claimed the host's request slot.
  * @param {string} userId - User ID
+ * @param {object} target - Watch target row
  * @param {function} onSignal - Callback for new signals
  * @param {function} onNoise - Callback for noise updates
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreHash] - Treat content as changed (force scan)
+ * @returns {Promise<boolean>} - Whether a signal was intercepted
+ */
+async function scanTarget(userId, target, onSignal, onNoise, { ignoreHash = false } = {}) {
+  const targetName = target.name || target.url;
+
+  try {
+    // robots.txt: flag the target and skip the scan (last_check still moves so it isn't retried every tick)
+    if (RESPECT_ROBOTS) {
+      const robots = await checkRobots(target.url);
+      if (!robots.allowed) {
+        await targets.updateLastCheck(target.id, target.last_hash, { blocked_reason: robots.reason });
+        onNoise(`[ROBOTS] ${targetName} - ${robots.reason}`);
+        return false;
+      }
+    }
+    if (target.blocked_reason) {
+      await targets.update(target.id, userId, { blocked_reason: null });
+    }
+
+    // Feeds track seen items instead of a page hash, so a force scan only picks up new items
+    if (target.target_type === 'feed') {
+      return await scanFeedTarget(userId, target, onSignal, onNoise);
+    }
+
+    // A force scan needs the full body, so it skips conditional headers
+    const lastHash = ignoreHash ? null : target.last_hash;
+    const validators = { ...(ignoreHash ? {} : getValidators(target)), hostSlotClaimed: true };
+    const result = target.target_type === 'json'
+      ? await checkJson(target.url, target.keywords, lastHash, {
+        path: target.json_path,
+        conditions: target.json_conditions || [],
+        ...validators
+      })
+      : await checkForSignal(target.url, target.keywords, lastHash, {
+        includeSelector: target.include_selector,
+        excludeSelectors: target.exclude_selectors || [],
+        ...validators
+      });
+
+    // Update last check
+    await targets.updateLastCheck(target.id, result.hash, trackFetch(userId, target, result));
+    if (result.http.redirects.length > 0) {
+      onNoise(`[SCAN] ${targetName} - Redirected to ${result.http.finalUrl}`);
+    }
+
+    if (result.notModified) {
+      onNoise(`[SCAN] ${targetName} - Not modified (304)`);
+      return false;
+    }
+
+    // Diff and snapshot the page whenever its content actually changed
+    let previousText = null;
+    let diff = null;
+    if (result.hash !== target.last_hash) {
+      previousText = await loadPreviousText(target);
+      if (previousText !== null) diff = diffText(previousText, result.text);
+      await saveSnapshot(target, result);
+    }
+
+    let { matches, content } = result;
+
+    // New-occurrences mode (pages only): drop keywords that only appear where they already did
+    if (target.target_type !== 'json' && target.alert_mode === 'new_occurrences'
+      && previousText !== null && matches.length > 0) {
+      ({ matches, content } = findNewOccurrences(result.text, previousText, matches));
+      if (matches.length === 0) {
+        onNoise(`[SCAN] ${targetName} - Keywords unchanged, no new occurrences`, { diff });
+        return false;
+      }
+    }
+
+    if (matches.length > 0) {
+      // Signal detected!
+      await recordSignal(userId, target, onSignal, { matches, content, diff });
+      return true;
+    }
+
+    if (ignoreHash) {
+      onNoise(`[COMPLETE] ${targetName} - No signal`, { diff });
+    } else if (result.changed) {
+      // Content changed but no keyword match
+      onNoise(`[SCAN] ${targetName} - Content updated, no signal`, { diff });
+    } else {
+      // No change
+      onNoise(`[SCAN] ${targetName} - No change detected`);
+    }
+  } catch (error) {
+    recordScan(userId, { error: true });
+    onNoise(`[ERROR] ${targetName} - ${error.message}`);
+  }
+
+  return false;
+}
+
+/**
+ * Start monitoring for a user
+ * Runs server-side until stopped; results are published whether or not
+ * a client is connected. The enabled flag is saved so the session is
+ * restored after a restart.
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {boolean} [options.persist] - Save monitoring_enabled (false when restoring)
  * @returns {Promise<string>} - Session ID
  */
-export async function startMonitoring(userId, onSignal, onNoise) {
+export async function startMonitoring(userId, { persist = true } = {}) {
+  if (isDemoUser(userId)) {
+    throw new Error('Demo sessions cannot run the signal engine');
+  }
+
   // Stop any existing session and wait for cleanup
-  await stopMonitoring(userId);
+  await stopMonitoring(userId, { persist: false });
 
   // Prevent race condition: double-check after await
   if (activeSessions.has(userId)) {
@@ -31,18 +379,24 @@ export async function startMonitoring(userId, onSignal, onNoise) {
   }
 
   const sessionId = `session_${Date.now()}`;
+  const { onSignal, onNoise } = createPublishers(userId);
 
   const session = {
     id: sessionId,
     userId,
     interval: null,
-    isRunning: true
+    isRunning: true,
+    lastAttempts: new Map() // Target id -> last attempt (ms), covers failed scans
   };
 
-  // Start the monitoring loop
+  // Start the scheduler loop: each tick polls only the targets that are due
   session.interval = setInterval(async () => {
     if (!session.isRunning) return;
 
+    // Don't start a new pass while the previous one is still running
+    if (activePasses.has(userId)) return;
+    activePasses.add(userId);
+
     try {
       // Get active targets for user
       const userTargets = await targets.getActiveByUser(userId);
@@ -53,66 +407,20 @@ export async function startMonitoring(userId, onSignal, onNoise) {
         return;
       }
 
-      // Check each target
-      for (const target of userTargets) {
-        try {
-          const result = await checkForSignal(
-            target.url,
-            target.keywords,
-            target.last_hash
-          );
-
-          // Update last check
-          await targets.updateLastCheck(target.id, result.hash);
-
-          if (result.matches.length > 0) {
-            // Signal detected!
-            let aiAnalysis = null;
-
-            // Run AI analysis if content is available
-            if (result.content) {
-              aiAnalysis = await ai.analyzeSignal(result.content, result.matches);
-            }
-
-            // Save signal to database
-            const signal = await signals.create({
-              target_id: target.id,
-              user_id: userId,
-              content: result.content,
-              matched_keywords: result.matches,
-              ai_summary: aiAnalysis?.summary || null,
-              ai_threat_level: aiAnalysis?.threat_level || 'UNKNOWN',
-              ai_category: aiAnalysis?.category || 'UNKNOWN',
-              source_url: target.url
-            });
-
-            // Notify client
-            onSignal({
-              type: 'SIGNAL_INTERCEPTED',
-              data: {
-                id: signal.id,
-                targetName: target.name || target.url,
-                url: target.url,
-                keywords: result.matches,
-                content: result.content,
-                ai: aiAnalysis,
-                timestamp: new Date().toISOString()
-              }
-            });
-          } else if (result.changed) {
-            // Content changed but no keyword match
-            onNoise(`[SCAN] ${target.name || target.url} - Content updated, no signal`);
-          } else {
-            // No change
-            onNoise(`[SCAN] ${target.name || target.url} - No change detected`);
-          }
-        } catch (error) {
-          onNoise(`[ERROR] ${target.name || target.url} - ${error.message}`);
-        }
-
-        // Small delay between targets
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      const dueTargets = getDueTargets(userTargets, session.lastAttempts);
+      if (dueTargets.length === 0) return;
+
+      // Queue due targets on the shared pool
+      await Promise.all(dueTargets.map(target => {
+        session.lastAttempts.set(target.id, Date.now());
+        return queueScan(userId, target, () => {
+          if (!session.isRunning) return false;
+          return scanTarget(userId, target, onSignal, onNoise);
+        });
+      }));
+
+      // Record the run so restored sessions know when we last watched
+      await sentinels.updateMonitoringRun(userId);
 
       // Send periodic noise
       onNoise(generateNoise());
@@ -120,20 +428,32 @@ export async function startMonitoring(userId, onSignal, onNoise) {
     } catch (error) {
       console.error('Monitoring error:', error);
       onNoise(`[SYSTEM ERROR] ${error.message}`);
+    } finally {
+      activePasses.delete(userId);
     }
-  }, parseInt(process.env.SCRAPE_INTERVAL) || 60000);
+  }, SCHEDULER_TICK);
 
   activeSessions.set(userId, session);
 
+  if (persist) {
+    await persistMonitoringState(userId, true);
+  }
+
   return sessionId;
 }
 
 /**
  * Stop monitoring for a user
  * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {boolean} [options.persist] - Clear monitoring_enabled (explicit stop)
  * @returns {Promise<void>}
  */
-export async function stopMonitoring(userId) {
+export async function stopMonitoring(userId, { persist = true } = {}) {
+  if (persist) {
+    await persistMonitoringState(userId, false);
+  }
+
   const session = activeSessions.get(userId);
   if (session) {
     session.isRunning = false;
@@ -166,70 +486,126 @@ export function getStatus(userId) {
   const session = activeSessions.get(userId);
   return {
     isActive: !!session,
-    sessionId: session?.id || null
+    sessionId: session?.id || null,
+    isScanning: activePasses.has(userId),
+    queue: scrapePool.stats(userId),
+    stats: getScanStats(userId)
   };
 }
 
 /**
  * Force scan all targets immediately
  * @param {string} userId - User ID
- * @param {function} onSignal - Callback for signals
- * @param {function} onNoise - Callback for noise
  */
-export async function forceScan(userId, onSignal, onNoise) {
+export async function forceScan(userId) {
+  if (isDemoUser(userId)) {
+    throw new Error('Demo sessions cannot run the signal engine');
+  }
+
+  const { onSignal, onNoise } = createPublishers(userId);
   onNoise('[MANUAL SCAN INITIATED]');
 
+  if (activePasses.has(userId)) {
+    onNoise('[SCAN SKIPPED] Previous pass still running');
+    return;
+  }
+  activePasses.add(userId);
+
   try {
     const userTargets = await targets.getActiveByUser(userId);
 
-    for (const target of userTargets) {
-      onNoise(`[SCANNING] ${target.name || target.url}`);
+    await Promise.all(userTargets.map(target =>
+      queueScan(userId, target, () => {
+        onNoise(`[SCANNING] ${target.name || target.url}`);
 
-      try {
-        const result = await checkForSignal(
-          target.url,
-          target.keywords,
-          null // Ignore previous hash for force scan
-        );
-
-        await targets.updateLastCheck(target.id, result.hash);
-
-        if (result.matches.length > 0) {
-          const aiAnalysis = await ai.analyzeSignal(result.content, result.matches);
-
-          const signal = await signals.create({
-            target_id: target.id,
-            user_id: userId,
-            content: result.content,
-            matched_keywords: result.matches,
-            ai_summary: aiAnalysis?.summary || null,
-            ai_threat_level: aiAnalysis?.threat_level || 'UNKNOWN',
-            ai_category: aiAnalysis?.category || 'UNKNOWN',
-            source_url: target.url
-          });
-
-          onSignal({
-            type: 'SIGNAL_INTERCEPTED',
-            data: {
-              id: signal.id,
-              targetName: target.name || target.url,
-              url: target.url,
-              keywords: result.matches,
-              content: result.content,
-              ai: aiAnalysis,
-              timestamp: new Date().toISOString()
-            }
-          });
-        } else {
-          onNoise(`[COMPLETE] ${target.name || target.url} - No signal`);
-        }
-      } catch (error) {
-        onNoise(`[ERROR] ${target.name || target.url} - ${error.message}`);
-      }
-    }
+        // Ignore previous hash for force scan
+        return scanTarget(userId, target, onSignal, onNoise, { ignoreHash: true });
+      })
+    ));
 
     onNoise('[MANUAL SCAN COMPLETE]');
   } catch (error) {
     onNoise(`[SCAN FAILED] ${error.message}`);
+  } finally {
+    activePasses.delete(userId);
+  }
+}
+
+/**
+ * Start sessions for every user with active targets
+ * Users still waiting for their staggered restore are left to resumeMonitoring().
+ * @returns {Promise<number>} - Number of sessions started
+ */
+async function syncBackgroundSessions() {
+  const userIds = await targets.getActiveUserIds();
+  // Respect sentinels who explicitly stopped their watch; never-started ones are picked up
+  const suspended = new Set(await sentinels.getIdsByMonitoring(false));
+  let started = 0;
+
+  for (const userId of userIds) {
+    if (activeSessions.has(userId) || pendingResumes.has(userId) || suspended.has(userId)) continue;
+    await startMonitoring(userId);
+    started++;
   }
+
+  return started;
+}
+
+/**
+ * Enable background monitoring (BACKGROUND_MONITORING=true)
+ * Starts a session for every user with active targets and periodically
+ * picks up users who add targets later.
+ */
+export async function startBackgroundMonitoring() {
+  if (!BACKGROUND_MONITORING) return;
+
+  const run = async () => {
+    try {
+      const started = await syncBackgroundSessions();
+      if (started > 0) {
+        console.log(`[SIGNAL] Background monitoring started for ${started} sentinel(s)`);
+      }
+    } catch (error) {
+      console.error('[SIGNAL] Background sync error:', error);
+    }
+  };
+
+  await run();
+  setInterval(run, BACKGROUND_SYNC_INTERVAL);
+}
+
+/**
+ * Restore sessions that were running before the last shutdown
+ * Startup is staggered so every target isn't hit at once.
+ * @returns {Promise<number>} - Number of sessions scheduled for restore
+ */
+export async function resumeMonitoring() {
+  let userIds;
+  try {
+    userIds = await sentinels.getIdsByMonitoring(true);
+  } catch (error) {
+    console.error('[SIGNAL] Failed to load monitoring sessions:', error);
+    return 0;
+  }
+
+  userIds.forEach((userId, index) => {
+    pendingResumes.add(userId);
+    setTimeout(async () => {
+      try {
+        if (activeSessions.has(userId)) return;
+        await startMonitoring(userId, { persist: false });
+        console.log(`[SIGNAL] Resumed monitoring for user: ${userId}`);
+      } catch (error) {
+        console.error(`[SIGNAL] Failed to resume monitoring for ${userId}:`, error);
+      } finally {
+        pendingResumes.delete(userId);
+      }
+    }, index * RESUME_STAGGER);
+  });
+
+  if (userIds.length > 0) {
+    console.log(`[SIGNAL] Restoring ${userIds.length} monitoring session(s)`);
+  }
+
+  return userIds.length;
 }
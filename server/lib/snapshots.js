@@ -0,0 +1,68 @@
+/**
+ * Snapshot Helpers
+ * Compression and retention for stored page text
+ */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+// Retention configuration
+const DEFAULT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION) || 10;
+export const MAX_RETENTION = 50;
+
+/**
+ * Compress extracted text for storage
+ * @param {string} text - Extracted page text
+ * @returns {string} - Base64 encoded gzip
+ */
+export function compressText(text) {
+  return zlib.gzipSync(Buffer.from(text || '', 'utf8')).toString('base64');
+}
+
+/**
+ * Restore text stored with compressText
+ * @param {string} compressed - Base64 encoded gzip
+ * @returns {string} - Original text
+ */
+export function decompressText(compressed) {
+  if (!compressed) return '';
+  return zlib.gunzipSync(Buffer.from(compressed, 'base64')).toString('utf8');
+}
+
+/**
+ * Resolve how many snapshots to keep for a target
+ * @param {object} target - Watch target row
+ * @returns {number}
+ */
+export function getRetention(target) {
+  const retention = parseInt(target.snapshot_retention) || DEFAULT_RETENTION;
+  return Math.min(MAX_RETENTION, Math.max(1, retention));
+}
+
+/**
+ * Build a snapshot row from scraped text
+ * @param {object} target - Watch target row
+ * @param {string} text - Extracted page text
+ * @param {string} hash - Content hash of the text
+ * @returns {object} - Row for the target_snapshots table
+ */
+export function buildSnapshot(target, text, hash) {
+  return {
+    target_id: target.id,
+    user_id: target.user_id,
+    content_hash: hash || crypto.createHash('sha256').update(text).digest('hex'),
+    content: compressText(text),
+    content_length: text.length,
+    captured_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Expand a stored snapshot row for API responses
+ * @param {object} row - target_snapshots row
+ * @returns {object} - Row with decompressed `text` instead of `content`
+ */
+export function expandSnapshot(row) {
+  const { content, ...meta } = row;
+  return { ...meta, text: decompressText(content) };
+}
@@ -0,0 +1,52 @@
+/**
+ * Scan Statistics
+ * In-memory counters per user since the server started
+ */
+
+// User ID -> counters
+const scanStats = new Map();
+
+/**
+ * Create an empty counter set
+ * @returns {object}
+ */
+function emptyStats() {
+  return {
+    scans: 0,
+    notModified: 0,
+    errors: 0,
+    bytesDownloaded: 0,
+    bytesSaved: 0,
+    since: new Date().toISOString()
+  };
+}
+
+/**
+ * Record the outcome of one target scan
+ * @param {string} userId - User ID
+ * @param {object} scan
+ * @param {number} [scan.bytes] - Bytes downloaded
+ * @param {number} [scan.bytesSaved] - Bytes not downloaded thanks to a 304
+ * @param {boolean} [scan.notModified] - Server answered 304
+ * @param {boolean} [scan.error] - The scan failed
+ */
+export function recordScan(userId, { bytes = 0, bytesSaved = 0, notModified = false, error = false } = {}) {
+  const stats = scanStats.get(userId) || emptyStats();
+
+  stats.scans++;
+  if (notModified) stats.notModified++;
+  if (error) stats.errors++;
+  stats.bytesDownloaded += bytes;
+  stats.bytesSaved += bytesSaved;
+
+  scanStats.set(userId, stats);
+}
+
+/**
+ * Get a user's scan statistics
+ * @param {string} userId - User ID
+ * @returns {object} - Copy of the counters
+ */
+export function getScanStats(userId) {
+  return { ...(scanStats.get(userId) || emptyStats()) };
+}
@@ -0,0 +1,57 @@
+/**
+ * Storage Backend
+ * Picks the adapter behind targets, signals, signal audit, sentinels, snapshots and profiles
+ *
+ * STORAGE_BACKEND=insforge  Hosted InsForge database (default)
+ * STORAGE_BACKEND=file      JSON files under DATA_DIR, no external service
+ *
+ * Every adapter exports the same objects with the methods listed in
+ * STORAGE_INTERFACE; rows use the same column names in both.
+ */
+
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'insforge';
+
+// Methods each adapter must provide, per exported object
+export const STORAGE_INTERFACE = {
+  targets: ['getByUser', 'getActiveByUser', 'getActiveUserIds', 'create', 'update', 'delete', 'updateLastCheck', 'updateSeenGuids'],
+  signals: ['getByUser', 'getById', 'create', 'update', 'getByThreatLevel', 'query', 'count'],
+  signalAudit: ['getBySignal', 'create'],
+  snapshots: ['getByTarget', 'getById', 'getLatest', 'create', 'prune'],
+  sentinels: ['getByCallsign', 'create', 'setMonitoring', 'updateMonitoringRun', 'getIdsByMonitoring', 'updateLastLogin'],
+  profiles: ['getAll', 'create', 'update', 'delete']
+};
+
+const ADAPTERS = {
+  insforge: () => import('./insforge.js'),
+  file: () => import('./filestore.js')
+};
+
+/**
+ * Check that an adapter module implements the storage interface
+ * @param {object} adapter - Adapter module
+ * @param {string} name - Backend name for error messages
+ * @throws {Error} - Listing the first missing method
+ */
+export function assertAdapter(adapter, name) {
+  for (const [object, methods] of Object.entries(STORAGE_INTERFACE)) {
+    for (const method of methods) {
+      if (typeof adapter[object]?.[method] !== 'function') {
+        throw new Error(`Storage backend "${name}" is missing ${object}.${method}()`);
+      }
+    }
+  }
+}
+
+if (!ADAPTERS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+}
+
+const adapter = await ADAPTERS[STORAGE_BACKEND]();
+assertAdapter(adapter, STORAGE_BACKEND);
+
+export const { targets, signals, signalAudit, snapshots, sentinels, profiles } = adapter;
+
+// AI analysis always runs on InsForge; without a key (offline file backend) signals are stored unanalysed
+export const ai = STORAGE_BACKEND === 'insforge' || process.env.INSFORGE_ANON_KEY
+  ? (await import('./insforge.js')).ai
+  : null;
@@ -0,0 +1,74 @@
+/**
+ * Signal Triage
+ * Status, assignee and notes on stored signals, and the audit entries
+ * recording each change
+ *
+ * Every signal starts as "new"; acknowledging, dismissing or escalating it
+ * (and reopening it as "new") is a status change like any other.
+ */
+
+export const TRIAGE_STATUSES = ['new', 'acknowledged', 'dismissed', 'escalated'];
+export const MAX_NOTES_LENGTH = 2000;
+
+const TRIAGE_FIELDS = ['status', 'assignee', 'notes'];
+
+// Same rule as registration (routes/auth.js)
+const CALLSIGN_REGEX = /^[a-zA-Z0-9_]{3,20}$/;
+
+/**
+ * Validate triage fields present in a request body
+ * @param {object} body - Request body with status, assignee and/or notes
+ * @returns {{error: string}|{updates: object}} - Normalized fields that were given
+ */
+export function validateTriage(body) {
+  const { status, assignee, notes } = body || {};
+  const updates = {};
+
+  if (status !== undefined) {
+    if (!TRIAGE_STATUSES.includes(status)) {
+      return { error: `Status must be one of: ${TRIAGE_STATUSES.join(', ')}` };
+    }
+    updates.status = status;
+  }
+
+  if (assignee !== undefined) {
+    if (assignee !== null && assignee !== '' && (typeof assignee !== 'string' || !CALLSIGN_REGEX.test(assignee.trim()))) {
+      return { error: 'Assignee must be a callsign (3-20 letters, digits or underscores)' };
+    }
+    updates.assignee = assignee ? assignee.trim().toUpperCase() : null;
+  }
+
+  if (notes !== undefined) {
+    if (notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return { error: `Notes must be less than ${MAX_NOTES_LENGTH} characters` };
+    }
+    updates.notes = notes?.trim() || null;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update (expected status, assignee or notes)' };
+  }
+  return { updates };
+}
+
+/**
+ * Compare requested triage fields with a signal's current values
+ * @param {object} signal - Signal row (missing fields count as the defaults)
+ * @param {object} updates - From validateTriage
+ * @returns {object} - { field: { from, to } } for fields that actually change
+ */
+export function diffTriage(signal, updates) {
+  const current = {
+    status: signal.status || 'new',
+    assignee: signal.assignee ?? null,
+    notes: signal.notes ?? null
+  };
+  const changes = {};
+
+  for (const field of TRIAGE_FIELDS) {
+    if (field in updates && updates[field] !== current[field]) {
+      changes[field] = { from: current[field], to: updates[field] };
+    }
+  }
+  return changes;
+}
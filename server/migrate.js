@@ -0,0 +1,90 @@
+/**
+ * The Last Sentinel - Migration Runner
+ * Applies pending migrations/*.sql to the InsForge database
+ *
+ * Usage:
+ *   npm run migrate               Apply pending migrations
+ *   npm run migrate -- --status   List applied and pending migrations
+ *
+ * Needs INSFORGE_API_KEY (admin key): the anon key the server uses cannot
+ * change the schema. Each migration runs in its own transaction.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { join } from 'path';
+import fetch from 'node-fetch';
+import {
+  MIGRATIONS_DIR, SCHEMA_MIGRATIONS_SQL, listMigrations, pendingMigrations, buildMigrationSql
+} from './lib/migrations.js';
+
+const BASE_URL = process.env.INSFORGE_BASE_URL || 'https://75ae3yns.us-west.insforge.app';
+const API_KEY = process.env.INSFORGE_API_KEY;
+
+// The file backend stores schemaless JSON tables
+const STORAGE_BACKEND_IS_FILE = process.env.STORAGE_BACKEND === 'file';
+
+/**
+ * Run SQL through the InsForge raw SQL endpoint
+ * @param {string} query - SQL statements
+ * @returns {Promise<object[]>} - Result rows
+ */
+async function runSql(query) {
+  const response = await fetch(`${BASE_URL}/api/database/advance/rawsql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': API_KEY },
+    body: JSON.stringify({ query })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `HTTP ${response.status}`);
+  }
+  return result.rows || [];
+}
+
+/**
+ * Apply pending migrations in order, or list them with --status
+ */
+async function main() {
+  if (STORAGE_BACKEND_IS_FILE) {
+    console.log('[MIGRATE] STORAGE_BACKEND=file has no database schema, nothing to migrate');
+    return;
+  }
+  if (!API_KEY) {
+    console.error('❌ MISSING ENV: INSFORGE_API_KEY is required to run migrations');
+    console.error('   Get your API key from InsForge dashboard');
+    process.exit(1);
+  }
+
+  const migrations = listMigrations();
+
+  await runSql(SCHEMA_MIGRATIONS_SQL);
+  const applied = (await runSql('SELECT version FROM schema_migrations')).map(row => row.version);
+  const pending = pendingMigrations(migrations, applied);
+
+  if (process.argv.includes('--status')) {
+    for (const migration of migrations) {
+      const state = pending.includes(migration) ? 'pending' : 'applied';
+      console.log(`[MIGRATE] ${migration.file} ${state}`);
+    }
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.log(`[MIGRATE] Schema is up to date (version ${migrations.at(-1)?.version ?? 'none'})`);
+    return;
+  }
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(join(MIGRATIONS_DIR, migration.file), 'utf8');
+    await runSql(buildMigrationSql(migration, sql));
+    console.log(`[MIGRATE] Applied ${migration.file}`);
+  }
+  console.log(`[MIGRATE] ${pending.length} migration(s) applied`);
+}
+
+main().catch(error => {
+  console.error(`[MIGRATE] Failed: ${error.message}`);
+  process.exit(1);
+});
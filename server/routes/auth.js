@@ -5,10 +5,27 @@
 
 import { Router } from 'express';
 import crypto from 'crypto';
-import { sentinels } from '../lib/insforge.js';
+import { sentinels } from '../lib/storage.js';
+import { createDemoIdentity } from '../lib/demo.js';
 
 export const router = Router();
 
+// Callsigns allowed to use the admin API (comma-separated)
+const ADMIN_CALLSIGNS = (process.env.ADMIN_CALLSIGNS || '')
+  .split(',')
+  .map(callsign => callsign.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Check whether the session belongs to an admin
+ * Demo sessions are never admins.
+ * @param {object} session - Express session
+ * @returns {boolean}
+ */
+function isAdmin(session) {
+  return !session.isDemo && ADMIN_CALLSIGNS.includes(session.callsign);
+}
+
 /**
  * Hash password using SHA-256 (same format as CryptoJS for compatibility)
  * @param {string} password
@@ -71,6 +88,7 @@ router.post('/register', async (req, res) => {
     // Set session
     req.session.sentinelId = sentinel.id;
     req.session.callsign = sentinel.callsign;
+    delete req.session.isDemo; // Leaving a demo session
 
     res.status(201).json({
       success: true,
@@ -130,6 +148,7 @@ router.post('/login', async (req, res) => {
     // Set session
     req.session.sentinelId = sentinel.id;
     req.session.callsign = sentinel.callsign;
+    delete req.session.isDemo; // Leaving a demo session
 
     res.json({
       success: true,
@@ -149,6 +168,37 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/demo
+ * Enter a sandboxed demo session (no account, canned data only)
+ */
+router.post('/demo', (req, res) => {
+  const demo = createDemoIdentity();
+
+  req.session.regenerate((err) => {
+    if (err) {
+      return res.status(500).json({
+        error: 'DEMO_FAILED',
+        message: '模擬模式啟動失敗'
+      });
+    }
+
+    req.session.sentinelId = demo.id;
+    req.session.callsign = demo.callsign;
+    req.session.isDemo = true;
+
+    res.json({
+      success: true,
+      message: '已進入模擬模式',
+      sentinel: {
+        id: demo.id,
+        callsign: demo.callsign,
+        demo: true
+      }
+    });
+  });
+});
+
 /**
  * POST /api/auth/logout
  * End sentinel session
@@ -184,7 +234,9 @@ router.get('/me', (req, res) => {
     authenticated: true,
     sentinel: {
       id: req.session.sentinelId,
-      callsign: req.session.callsign
+      callsign: req.session.callsign,
+      demo: !!req.session.isDemo,
+      admin: isAdmin(req.session)
     }
   });
 });
@@ -201,3 +253,16 @@ export function requireAuth(req, res, next) {
   }
   next();
 }
+
+/**
+ * Middleware: Require an admin sentinel (use after requireAuth)
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.session)) {
+    return res.status(403).json({
+      error: 'FORBIDDEN',
+      message: '需要管理員權限'
+    });
+  }
+  next();
+}
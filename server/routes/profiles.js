@@ -0,0 +1,259 @@
+/**
+ * Domain Profiles Admin API Routes
+ * Manage per-host request settings (admins only)
+ */
+
+import { Router } from 'express';
+import { profiles } from '../lib/storage.js';
+import { listProfiles, setCustomProfiles } from '../lib/profiles.js';
+import { isValidId } from '../lib/history.js';
+import { validateSelector, MAX_EXCLUDE_SELECTORS } from '../lib/scraper.js';
+
+// Input validation constants
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 253;
+const MAX_ENTRIES = 20;              // Headers or cookies per profile
+const MAX_VALUE_LENGTH = 1000;
+const MAX_USER_AGENT_LENGTH = 300;
+const MAX_ACCEPT_LANGUAGE_LENGTH = 100;
+const MAX_MIN_DELAY = 60000;         // ms
+
+// Hostname, optionally restricted to subdomains with a leading "*."
+const PATTERN_REGEX = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+// RFC 7230 header field / cookie name
+const TOKEN_REGEX = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+// Headers that are managed by the scraper or have their own profile field
+const RESERVED_HEADERS = [
+  'host', 'connection', 'content-length', 'transfer-encoding', 'accept-encoding',
+  'cookie', 'user-agent', 'accept-language', 'if-none-match', 'if-modified-since'
+];
+
+export const router = Router();
+
+/**
+ * Reload custom profiles from the database into the matcher
+ * @returns {Promise<void>}
+ */
+export async function loadProfiles() {
+  setCustomProfiles(await profiles.getAll());
+}
+
+/**
+ * Check a name -> value map (headers or cookies)
+ * @param {*} entries - Raw request value
+ * @param {string} label - "Header" or "Cookie"
+ * @param {function(string): boolean} isValidValue - Value check
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateEntries(entries, label, isValidValue) {
+  if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+    return `${label}s must be an object`;
+  }
+  if (Object.keys(entries).length > MAX_ENTRIES) {
+    return `Maximum ${MAX_ENTRIES} ${label.toLowerCase()}s allowed`;
+  }
+  for (const [name, value] of Object.entries(entries)) {
+    if (!TOKEN_REGEX.test(name)) {
+      return `Invalid ${label.toLowerCase()} name "${name}"`;
+    }
+    if (label === 'Header' && RESERVED_HEADERS.includes(name.toLowerCase())) {
+      return `Header "${name}" cannot be set in a profile`;
+    }
+    if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH || !isValidValue(value)) {
+      return `Invalid ${label.toLowerCase()} value for "${name}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check an optional single-line string field
+ * @param {*} value - Raw request value (null clears it)
+ * @param {number} maxLength - Max characters
+ * @returns {boolean}
+ */
+function isValidLine(value, maxLength) {
+  return value === null || (typeof value === 'string' && value.length <= maxLength && !/[\r\n]/.test(value));
+}
+
+/**
+ * Validate profile fields present in a request body
+ * @param {object} body - Request body
+ * @returns {{error: string}|{profile: object}} - Sanitized fields that were given
+ */
+function validateProfile(body) {
+  const {
+    name, pattern, headers, cookies, user_agent, accept_language,
+    min_delay_ms, include_selector, exclude_selectors
+  } = body;
+  const profile = {};
+
+  if (name !== undefined) {
+    if (!isValidLine(name, MAX_NAME_LENGTH)) {
+      return { error: `Name must be less than ${MAX_NAME_LENGTH} characters` };
+    }
+    profile.name = name?.trim() || null;
+  }
+  if (pattern !== undefined) {
+    const normalized = typeof pattern === 'string' ? pattern.trim().toLowerCase() : '';
+    if (!PATTERN_REGEX.test(normalized) || normalized.length > MAX_PATTERN_LENGTH) {
+      return { error: 'Pattern must be a hostname such as ptt.cc or *.example.com' };
+    }
+    profile.pattern = normalized;
+  }
+  if (headers !== undefined) {
+    const headerError = validateEntries(headers, 'Header', value => !/[\r\n]/.test(value));
+    if (headerError) return { error: headerError };
+    profile.headers = headers;
+  }
+  if (cookies !== undefined) {
+    const cookieError = validateEntries(cookies, 'Cookie', value => !/[;\r\n]/.test(value));
+    if (cookieError) return { error: cookieError };
+    profile.cookies = cookies;
+  }
+  if (user_agent !== undefined) {
+    if (!isValidLine(user_agent, MAX_USER_AGENT_LENGTH)) {
+      return { error: `User agent must be a single line under ${MAX_USER_AGENT_LENGTH} characters` };
+    }
+    profile.user_agent = user_agent?.trim() || null;
+  }
+  if (accept_language !== undefined) {
+    if (!isValidLine(accept_language, MAX_ACCEPT_LANGUAGE_LENGTH)) {
+      return { error: `Accept-Language must be a single line under ${MAX_ACCEPT_LANGUAGE_LENGTH} characters` };
+    }
+    profile.accept_language = accept_language?.trim() || null;
+  }
+  if (min_delay_ms !== undefined) {
+    const delay = Number(min_delay_ms);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_MIN_DELAY) {
+      return { error: `Minimum delay must be between 0 and ${MAX_MIN_DELAY} ms` };
+    }
+    profile.min_delay_ms = delay;
+  }
+  try {
+    if (include_selector !== undefined) {
+      if (include_selector !== null && include_selector !== '') validateSelector(include_selector);
+      profile.include_selector = include_selector?.trim() || null;
+    }
+    if (exclude_selectors !== undefined) {
+      if (!Array.isArray(exclude_selectors)) {
+        return { error: 'Exclude selectors must be an array' };
+      }
+      if (exclude_selectors.length > MAX_EXCLUDE_SELECTORS) {
+        return { error: `Maximum ${MAX_EXCLUDE_SELECTORS} exclude selectors allowed` };
+      }
+      exclude_selectors.forEach(validateSelector);
+      profile.exclude_selectors = exclude_selectors.map(selector => selector.trim());
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { profile };
+}
+
+/**
+ * Whether another custom profile already uses a pattern
+ * @param {string} pattern - Normalized pattern
+ * @param {string} [exceptId] - Profile being updated
+ * @returns {boolean}
+ */
+function isPatternTaken(pattern, exceptId = null) {
+  return listProfiles().some(profile => !profile.builtin && profile.pattern === pattern && profile.id !== exceptId);
+}
+
+/**
+ * GET /api/admin/profiles
+ * List active profiles (built-in and custom)
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, data: listProfiles() });
+});
+
+/**
+ * POST /api/admin/profiles
+ * Create a custom profile
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (req.body.pattern === undefined) {
+      return res.status(400).json({ success: false, error: 'Pattern is required' });
+    }
+
+    const { error, profile } = validateProfile(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (isPatternTaken(profile.pattern)) {
+      return res.status(409).json({ success: false, error: `A profile for ${profile.pattern} already exists` });
+    }
+
+    const data = await profiles.create(profile);
+    await loadProfiles();
+
+    console.log(`[PROFILE] ${req.session.callsign} created profile for ${data.pattern}`);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    console.error('Create profile error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create profile' });
+  }
+});
+
+/**
+ * PUT /api/admin/profiles/:id
+ * Update a custom profile
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id.startsWith('builtin-')) {
+      return res.status(400).json({ success: false, error: 'Built-in profiles cannot be edited; create a profile with the same pattern to override it' });
+    }
+
+    const { error, profile } = validateProfile(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (profile.pattern && isPatternTaken(profile.pattern, id)) {
+      return res.status(409).json({ success: false, error: `A profile for ${profile.pattern} already exists` });
+    }
+
+    const data = isValidId(id) && await profiles.update(id, profile);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    await loadProfiles();
+
+    console.log(`[PROFILE] ${req.session.callsign} updated profile for ${data.pattern}`);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update profile' });
+  }
+});
+
+/**
+ * DELETE /api/admin/profiles/:id
+ * Delete a custom profile (a built-in profile it overrode applies again)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id.startsWith('builtin-')) {
+      return res.status(400).json({ success: false, error: 'Built-in profiles cannot be deleted' });
+    }
+
+    const deleted = isValidId(id) && await profiles.delete(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    await loadProfiles();
+
+    console.log(`[PROFILE] ${req.session.callsign} deleted profile ${id}`);
+    res.json({ success: true, message: 'Profile deleted' });
+  } catch (error) {
+    console.error('Delete profile error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete profile' });
+  }
+});
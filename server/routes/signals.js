@@ -0,0 +1,126 @@
+/**
+ * Signals API Routes
+ * Browse the signal archive across all of a sentinel's targets and
+ * triage individual signals
+ */
+
+import { Router } from 'express';
+import { signals, signalAudit, sentinels } from '../lib/storage.js';
+import { parseHistoryQuery, toPage, isValidId } from '../lib/history.js';
+import { validateTriage, diffTriage } from '../lib/triage.js';
+
+export const router = Router();
+
+/**
+ * Get user ID from session
+ * Auth middleware ensures session exists
+ */
+function getUserId(req) {
+  return req.session.sentinelId;
+}
+
+/**
+ * GET /api/signals
+ * Get stored signals, newest first
+ * Filters: target_id, threat_level, status, category, keyword, search, from, to; paged with cursor + limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { error, filters, cursor, limit } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Ask for one extra row to know whether another page exists
+    const rows = await signals.query(getUserId(req), { ...filters, cursor, limit: limit + 1 });
+    res.json({ success: true, ...toPage(rows, limit) });
+  } catch (error) {
+    console.error('Get signal archive error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load signals' });
+  }
+});
+
+/**
+ * GET /api/signals/count
+ * Get the number of stored signals
+ */
+router.get('/count', async (req, res) => {
+  try {
+    const total = await signals.count(getUserId(req));
+    res.json({ success: true, data: { total } });
+  } catch (error) {
+    console.error('Count signals error:', error);
+    res.status(500).json({ success: false, error: 'Failed to count signals' });
+  }
+});
+
+/**
+ * PUT /api/signals/:id
+ * Update a signal's triage status, assignee and/or notes
+ * Every effective change is written to the signal's audit trail
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    if (!isValidId(id)) {
+      return res.status(404).json({ success: false, error: 'Signal not found' });
+    }
+
+    const { error, updates } = validateTriage(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (updates.assignee && !(await sentinels.getByCallsign(updates.assignee))) {
+      return res.status(400).json({ success: false, error: 'Unknown callsign' });
+    }
+
+    const signal = await signals.getById(id, userId);
+    if (!signal) {
+      return res.status(404).json({ success: false, error: 'Signal not found' });
+    }
+
+    const changes = diffTriage(signal, updates);
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, data: signal });
+    }
+
+    const updated = await signals.update(id, userId, updates);
+    await signalAudit.create({
+      signal_id: id,
+      user_id: userId,
+      actor: req.session.callsign,
+      changes
+    });
+
+    console.log(`[TRIAGE] ${req.session.callsign} updated signal ${id}: ${Object.keys(changes).join(', ')}`);
+    res.json({ success: true, data: { ...signal, ...updated } });
+  } catch (error) {
+    console.error('Triage signal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update signal' });
+  }
+});
+
+/**
+ * GET /api/signals/:id/audit
+ * Get a signal's triage history, newest first
+ */
+router.get('/:id/audit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const signal = isValidId(id) && await signals.getById(id, userId);
+    if (!signal) {
+      return res.status(404).json({ success: false, error: 'Signal not found' });
+    }
+
+    const entries = await signalAudit.getBySignal(id, userId);
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Get signal audit error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load audit trail' });
+  }
+});
@@ -6,32 +6,29 @@
 import { Router } from 'express';
 import { startMonitoring, stopMonitoring, getStatus, forceScan } from '../lib/signal.js';
 import { generateNoise } from '../lib/scraper.js';
+import { subscribe, publish } from '../lib/broadcast.js';
+import { startDemoMonitoring, stopDemoMonitoring, getDemoStatus, demoScan, scheduleDemoRelease } from '../lib/demo.js';
 
 export const router = Router();
 
-// Fallback user ID for unauthenticated requests (demo mode)
-const DEMO_USER_ID = '00000000-0000-0000-0000-000000000001';
-
-// Store active SSE connections
+// Store active SSE connections (userId -> Set of connections; one per open console)
 const connections = new Map();
 
+/**
+ * Get user ID from session
+ * Auth middleware ensures session exists
+ */
+function getUserId(req) {
+  return req.session.sentinelId;
+}
+
 /**
  * GET /api/stream/connect
  * Establish SSE connection
  */
 router.get('/connect', (req, res) => {
-  // Use session-based userId if available, fallback to header/query
-  const userId = req.session?.sentinelId || req.headers['x-user-id'] || req.query.userId || DEMO_USER_ID;
-
-  // Close existing connection for this user to prevent duplicates
-  const existingConnection = connections.get(userId);
-  if (existingConnection) {
-    try {
-      existingConnection.cleanup();
-    } catch (e) {
-      console.error('[SENTINEL] Error cleaning up existing connection:', e);
-    }
-  }
+  const userId = getUserId(req);
+  const status = req.session.isDemo ? getDemoStatus(userId) : getStatus(userId);
 
   // Set SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
@@ -41,9 +38,11 @@ router.get('/connect', (req, res) => {
   res.flushHeaders();
 
   // Helper to send SSE events (with error handling)
-  const sendEvent = (type, data) => {
+  // Hub events carry an ID so the client can resume with Last-Event-ID
+  const sendEvent = (type, data, id) => {
     try {
       if (!res.writableEnded) {
+        if (id !== undefined) res.write(`id: ${id}\n`);
         res.write(`event: ${type}\n`);
         res.write(`data: ${JSON.stringify(data)}\n\n`);
       }
@@ -57,6 +56,7 @@ router.get('/connect', (req, res) => {
     noiseInterval: null,
     heartbeatInterval: null,
     connectionTimeout: null,
+    unsubscribe: null,
     isCleanedUp: false
   };
 
@@ -81,22 +81,43 @@ router.get('/connect', (req, res) => {
       cleanup.connectionTimeout = null;
     }
 
-    // Stop monitoring
-    stopMonitoring(userId);
+    // Detach from the event hub; monitoring keeps running server-side
+    if (cleanup.unsubscribe) {
+      cleanup.unsubscribe();
+      cleanup.unsubscribe = null;
+    }
 
-    // Remove connection
-    connections.delete(userId);
+    // Remove this connection only; the user's other consoles stay linked
+    const userConnections = connections.get(userId);
+    if (userConnections) {
+      userConnections.delete(connection);
+      if (userConnections.size === 0) connections.delete(userId);
+    }
+
+    // A demo identity is never resumed once its last console is gone
+    if (req.session.isDemo && !connections.has(userId)) {
+      scheduleDemoRelease(userId);
+    }
   };
 
   // Send initial connection message
   sendEvent('connected', {
     message: 'SENTINEL LINK ESTABLISHED',
     timestamp: new Date().toISOString(),
-    userId
+    userId,
+    monitoring: status.isActive,
+    demo: !!req.session.isDemo
   });
 
   // Store connection with cleanup function
-  connections.set(userId, { res, sendEvent, cleanup: performCleanup });
+  const connection = { res, sendEvent, cleanup: performCleanup };
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(connection);
+
+  // Replay missed events, then receive engine events live.
+  // EventSource sends Last-Event-ID on auto-reconnect; manual reconnects pass it as a query param
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+  cleanup.unsubscribe = subscribe(userId, sendEvent, Number.isFinite(lastEventId) ? lastEventId : null);
 
   // Start sending periodic noise
   cleanup.noiseInterval = setInterval(() => {
@@ -127,31 +148,20 @@ router.get('/connect', (req, res) => {
  * Start monitoring session
  */
 router.post('/start', async (req, res) => {
-  const userId = req.session?.sentinelId || req.headers['x-user-id'] || DEMO_USER_ID;
-  const connection = connections.get(userId);
-
-  if (!connection) {
-    return res.status(400).json({
-      success: false,
-      error: 'No active SSE connection. Connect first.'
-    });
-  }
+  const userId = getUserId(req);
 
   try {
-    const sessionId = await startMonitoring(
-      userId,
-      // Signal callback
-      (signal) => {
-        connection.sendEvent('signal', signal);
-      },
-      // Noise callback
-      (noise) => {
-        connection.sendEvent('scan', {
-          content: noise,
-          timestamp: new Date().toISOString()
-        });
-      }
-    );
+    // Demo sessions get a simulated watch that never touches real data
+    const sessionId = req.session.isDemo
+      ? startDemoMonitoring(userId)
+      : await startMonitoring(userId);
+
+    // Keep every open console in sync
+    publish(userId, 'status', {
+      message: 'MONITORING INITIATED',
+      monitoring: true,
+      timestamp: new Date().toISOString()
+    });
 
     res.json({
       success: true,
@@ -172,18 +182,21 @@ router.post('/start', async (req, res) => {
  * Stop monitoring session
  */
 router.post('/stop', async (req, res) => {
-  const userId = req.session?.sentinelId || req.headers['x-user-id'] || DEMO_USER_ID;
-
-  await stopMonitoring(userId);
+  const userId = getUserId(req);
 
-  const connection = connections.get(userId);
-  if (connection) {
-    connection.sendEvent('status', {
-      message: 'MONITORING SUSPENDED',
-      timestamp: new Date().toISOString()
-    });
+  if (req.session.isDemo) {
+    stopDemoMonitoring(userId);
+  } else {
+    await stopMonitoring(userId);
   }
 
+  publish(userId, 'status', {
+    message: 'MONITORING SUSPENDED',
+    monitoring: false,
+    timestamp: new Date().toISOString()
+  });
+  if (req.session.isDemo) scheduleDemoRelease(userId);
+
   res.json({
     success: true,
     message: 'MONITORING SUSPENDED'
@@ -195,15 +208,16 @@ router.post('/stop', async (req, res) => {
  * Get monitoring status
  */
 router.get('/status', (req, res) => {
-  const userId = req.session?.sentinelId || req.headers['x-user-id'] || DEMO_USER_ID;
-  const status = getStatus(userId);
-  const hasConnection = connections.has(userId);
+  const userId = getUserId(req);
+  const status = req.session.isDemo ? getDemoStatus(userId) : getStatus(userId);
+  const connectionCount = connections.get(userId)?.size || 0;
 
   res.json({
     success: true,
     data: {
       ...status,
-      connected: hasConnection
+      connected: connectionCount > 0,
+      connections: connectionCount
     }
   });
 });
@@ -213,25 +227,17 @@ router.get('/status', (req, res) => {
  * Force immediate scan
  */
 router.post('/scan', async (req, res) => {
-  const userId = req.session?.sentinelId || req.headers['x-user-id'] || DEMO_USER_ID;
-  const connection = connections.get(userId);
-
-  if (!connection) {
-    return res.status(400).json({
-      success: false,
-      error: 'No active SSE connection'
-    });
-  }
+  const userId = getUserId(req);
 
   res.json({
     success: true,
     message: 'MANUAL SCAN INITIATED'
   });
 
-  // Run scan asynchronously
-  forceScan(
-    userId,
-    (signal) => connection.sendEvent('signal', signal),
-    (noise) => connection.sendEvent('scan', { content: noise, timestamp: new Date().toISOString() })
-  );
+  // Run scan asynchronously; results are published to the user's clients
+  if (req.session.isDemo) {
+    demoScan(userId);
+  } else {
+    forceScan(userId);
+  }
 });
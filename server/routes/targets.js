@@ -4,8 +4,12 @@
  */
 
 import { Router } from 'express';
-import { targets, signals } from '../lib/insforge.js';
-import { validateUrl } from '../lib/scraper.js';
+import { targets, signals, snapshots } from '../lib/storage.js';
+import { validateUrl, validateSelector, MAX_EXCLUDE_SELECTORS } from '../lib/scraper.js';
+import { expandSnapshot, MAX_RETENTION } from '../lib/snapshots.js';
+import { validateQuery } from '../lib/query.js';
+import { parsePath, parseCondition, MAX_CONDITIONS } from '../lib/jsonpath.js';
+import { parseHistoryQuery, toPage, isValidId } from '../lib/history.js';
 
 // Input validation constants
 const MAX_URL_LENGTH = 2048;
@@ -14,6 +18,8 @@ const MAX_KEYWORD_LENGTH = 100;
 const MAX_NAME_LENGTH = 200;
 const MIN_CHECK_INTERVAL = 60; // seconds
 const MAX_TARGETS_PER_USER = 20;
+const ALERT_MODES = ['any', 'new_occurrences'];
+const TARGET_TYPES = ['page', 'feed', 'json'];
 
 export const router = Router();
 
@@ -25,6 +31,116 @@ function getUserId(req) {
   return req.session.sentinelId;
 }
 
+/**
+ * Check a snapshot retention count
+ * @param {*} value - Raw request value
+ * @returns {boolean}
+ */
+function isValidRetention(value) {
+  const retention = Number(value);
+  return Number.isInteger(retention) && retention >= 1 && retention <= MAX_RETENTION;
+}
+
+/**
+ * Filter and validate a keyword list
+ * Each keyword may be a plain keyword or a query (see lib/query.js).
+ * @param {*} keywords - Raw request value
+ * @param {object} [options]
+ * @param {boolean} [options.allowEmpty] - JSON targets with conditions need no keywords
+ * @returns {{error: string}|{keywords: string[]}}
+ */
+function validateKeywords(keywords, { allowEmpty = false } = {}) {
+  if (allowEmpty && (keywords === undefined || (Array.isArray(keywords) && keywords.length === 0))) {
+    return { keywords: [] };
+  }
+  if (!keywords || !Array.isArray(keywords)) {
+    return { error: 'Keywords must be an array' };
+  }
+  if (keywords.length === 0 || keywords.length > MAX_KEYWORDS) {
+    return { error: `Keywords count must be between 1 and ${MAX_KEYWORDS}` };
+  }
+
+  const validKeywords = keywords
+    .filter(k => typeof k === 'string')
+    .map(k => k.trim())
+    .filter(k => k.length > 0 && k.length <= MAX_KEYWORD_LENGTH);
+
+  if (validKeywords.length === 0) {
+    return { error: 'At least one valid keyword required' };
+  }
+
+  for (const keyword of validKeywords) {
+    try {
+      validateQuery(keyword);
+    } catch (error) {
+      return { error: `Invalid keyword "${keyword}": ${error.message}` };
+    }
+  }
+
+  return { keywords: validKeywords };
+}
+
+/**
+ * Check the include/exclude selectors of a target
+ * @param {*} includeSelector - Raw include_selector (null clears it)
+ * @param {*} excludeSelectors - Raw exclude_selectors
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateScope(includeSelector, excludeSelectors) {
+  try {
+    if (includeSelector !== undefined && includeSelector !== null && includeSelector !== '') {
+      validateSelector(includeSelector);
+    }
+    if (excludeSelectors !== undefined) {
+      if (!Array.isArray(excludeSelectors)) {
+        return 'Exclude selectors must be an array';
+      }
+      if (excludeSelectors.length > MAX_EXCLUDE_SELECTORS) {
+        return `Maximum ${MAX_EXCLUDE_SELECTORS} exclude selectors allowed`;
+      }
+      excludeSelectors.forEach(validateSelector);
+    }
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Check the path and field conditions of a JSON target
+ * @param {*} jsonPath - Raw json_path (null clears it)
+ * @param {*} jsonConditions - Raw json_conditions
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateJsonOptions(jsonPath, jsonConditions) {
+  try {
+    if (jsonPath !== undefined && jsonPath !== null && jsonPath !== '') {
+      parsePath(typeof jsonPath === 'string' ? jsonPath.trim() : jsonPath);
+    }
+    if (jsonConditions !== undefined) {
+      if (!Array.isArray(jsonConditions)) {
+        return 'JSON conditions must be an array';
+      }
+      if (jsonConditions.length > MAX_CONDITIONS) {
+        return `Maximum ${MAX_CONDITIONS} JSON conditions allowed`;
+      }
+      jsonConditions.forEach(parseCondition);
+    }
+  } catch (error) {
+    return `Invalid JSON option: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a request carries JSON conditions (keywords become optional)
+ * @param {*} jsonConditions - Raw json_conditions
+ * @returns {boolean}
+ */
+function hasConditions(jsonConditions) {
+  return Array.isArray(jsonConditions) && jsonConditions.length > 0;
+}
+
 /**
  * GET /api/targets
  * Get all targets for current user
@@ -47,7 +163,10 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const { url, keywords, name, check_interval } = req.body;
+    const {
+      url, keywords, name, check_interval, snapshot_retention, alert_mode,
+      include_selector, exclude_selectors, target_type, json_path, json_conditions
+    } = req.body;
 
     // Validate URL
     if (!url || typeof url !== 'string') {
@@ -65,26 +184,43 @@ router.post('/', async (req, res) => {
     }
 
     // Validate keywords
-    if (!keywords || !Array.isArray(keywords)) {
-      return res.status(400).json({ success: false, error: 'Keywords must be an array' });
+    const { error: keywordError, keywords: validKeywords } = validateKeywords(keywords, {
+      allowEmpty: target_type === 'json' && hasConditions(json_conditions)
+    });
+    if (keywordError) {
+      return res.status(400).json({ success: false, error: keywordError });
     }
-    if (keywords.length === 0 || keywords.length > MAX_KEYWORDS) {
-      return res.status(400).json({ success: false, error: `Keywords count must be between 1 and ${MAX_KEYWORDS}` });
+
+    // Validate name
+    if (name && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return res.status(400).json({ success: false, error: `Name must be less than ${MAX_NAME_LENGTH} characters` });
     }
 
-    // Filter and validate keywords
-    const validKeywords = keywords
-      .filter(k => typeof k === 'string')
-      .map(k => k.trim())
-      .filter(k => k.length > 0 && k.length <= MAX_KEYWORD_LENGTH);
+    // Validate snapshot retention
+    if (snapshot_retention !== undefined && !isValidRetention(snapshot_retention)) {
+      return res.status(400).json({ success: false, error: `Snapshot retention must be between 1 and ${MAX_RETENTION}` });
+    }
 
-    if (validKeywords.length === 0) {
-      return res.status(400).json({ success: false, error: 'At least one valid keyword required' });
+    // Validate alert mode
+    if (alert_mode !== undefined && !ALERT_MODES.includes(alert_mode)) {
+      return res.status(400).json({ success: false, error: `Alert mode must be one of: ${ALERT_MODES.join(', ')}` });
     }
 
-    // Validate name
-    if (name && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
-      return res.status(400).json({ success: false, error: `Name must be less than ${MAX_NAME_LENGTH} characters` });
+    // Validate target type
+    if (target_type !== undefined && !TARGET_TYPES.includes(target_type)) {
+      return res.status(400).json({ success: false, error: `Target type must be one of: ${TARGET_TYPES.join(', ')}` });
+    }
+
+    // Validate selector scoping
+    const scopeError = validateScope(include_selector, exclude_selectors);
+    if (scopeError) {
+      return res.status(400).json({ success: false, error: scopeError });
+    }
+
+    // Validate JSON path and conditions
+    const jsonError = validateJsonOptions(json_path, json_conditions);
+    if (jsonError) {
+      return res.status(400).json({ success: false, error: jsonError });
     }
 
     // Check user's target count limit
@@ -105,6 +241,13 @@ router.post('/', async (req, res) => {
       keywords: validKeywords,
       name: name?.trim() || null,
       check_interval: sanitizedInterval,
+      ...(snapshot_retention !== undefined && { snapshot_retention: parseInt(snapshot_retention) }),
+      target_type: target_type || 'page',
+      alert_mode: alert_mode || 'any',
+      include_selector: include_selector?.trim() || null,
+      exclude_selectors: (exclude_selectors || []).map(selector => selector.trim()),
+      json_path: json_path?.trim() || null,
+      json_conditions: (json_conditions || []).map(condition => condition.trim()),
       is_active: true
     });
 
@@ -124,30 +267,92 @@ router.put('/:id', async (req, res) => {
   try {
     const userId = getUserId(req);
     const { id } = req.params;
-    const { url, keywords, name, check_interval, is_active } = req.body;
+    const {
+      url, keywords, name, check_interval, snapshot_retention, alert_mode,
+      include_selector, exclude_selectors, target_type, json_path, json_conditions, is_active
+    } = req.body;
 
     const updates = {};
     if (url !== undefined) {
       try {
         new URL(url);
         updates.url = url.trim();
+        updates.blocked_reason = null; // robots.txt is checked again on the next scan
       } catch {
         return res.status(400).json({ success: false, error: 'Invalid URL format' });
       }
     }
     if (keywords !== undefined) {
-      updates.keywords = keywords.map(k => k.trim()).filter(k => k);
+      const { error: keywordError, keywords: validKeywords } = validateKeywords(keywords, {
+        allowEmpty: hasConditions(json_conditions)
+      });
+      if (keywordError) {
+        return res.status(400).json({ success: false, error: keywordError });
+      }
+      updates.keywords = validKeywords;
     }
     if (name !== undefined) {
       updates.name = name?.trim() || null;
     }
     if (check_interval !== undefined) {
-      updates.check_interval = check_interval;
+      // Enforce minimum check interval
+      updates.check_interval = Math.max(
+        MIN_CHECK_INTERVAL,
+        parseInt(check_interval) || 60
+      );
+    }
+    if (snapshot_retention !== undefined) {
+      if (!isValidRetention(snapshot_retention)) {
+        return res.status(400).json({ success: false, error: `Snapshot retention must be between 1 and ${MAX_RETENTION}` });
+      }
+      updates.snapshot_retention = parseInt(snapshot_retention);
+    }
+    if (alert_mode !== undefined) {
+      if (!ALERT_MODES.includes(alert_mode)) {
+        return res.status(400).json({ success: false, error: `Alert mode must be one of: ${ALERT_MODES.join(', ')}` });
+      }
+      updates.alert_mode = alert_mode;
+    }
+    if (target_type !== undefined) {
+      if (!TARGET_TYPES.includes(target_type)) {
+        return res.status(400).json({ success: false, error: `Target type must be one of: ${TARGET_TYPES.join(', ')}` });
+      }
+      updates.target_type = target_type;
+    }
+    if (include_selector !== undefined || exclude_selectors !== undefined) {
+      const scopeError = validateScope(include_selector, exclude_selectors);
+      if (scopeError) {
+        return res.status(400).json({ success: false, error: scopeError });
+      }
+      if (include_selector !== undefined) {
+        updates.include_selector = include_selector?.trim() || null;
+      }
+      if (exclude_selectors !== undefined) {
+        updates.exclude_selectors = exclude_selectors.map(selector => selector.trim());
+      }
+    }
+    if (json_path !== undefined || json_conditions !== undefined) {
+      const jsonError = validateJsonOptions(json_path, json_conditions);
+      if (jsonError) {
+        return res.status(400).json({ success: false, error: jsonError });
+      }
+      if (json_path !== undefined) {
+        updates.json_path = json_path?.trim() || null;
+      }
+      if (json_conditions !== undefined) {
+        updates.json_conditions = json_conditions.map(condition => condition.trim());
+      }
     }
     if (is_active !== undefined) {
       updates.is_active = is_active;
     }
 
+    // Extraction changed: drop the HTTP validators so the next scan refetches the full body
+    if ([url, target_type, include_selector, exclude_selectors, json_path, json_conditions].some(v => v !== undefined)) {
+      updates.etag = null;
+      updates.last_modified = null;
+    }
+
     const target = await targets.update(id, userId, updates);
 
     if (!target) {
@@ -180,15 +385,63 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * GET /api/targets/:id/signals
- * Get signals for a specific target
+ * Get a target's signal history, newest first
+ * Filters: threat_level, status, category, keyword, search, from, to; paged with cursor + limit
  */
 router.get('/:id/signals', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const data = await signals.getByUser(userId);
-    res.json({ success: true, data });
+    // The path ID goes through the same check as the archive's target_id filter
+    const { error, filters, cursor, limit } = parseHistoryQuery({ ...req.query, target_id: req.params.id });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Ask for one extra row to know whether another page exists
+    const rows = await signals.query(userId, { ...filters, cursor, limit: limit + 1 });
+    res.json({ success: true, ...toPage(rows, limit) });
   } catch (error) {
     console.error('Get signals error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load signals' });
+  }
+});
+
+/**
+ * GET /api/targets/:id/snapshots
+ * List stored content snapshots for a target (newest first, without content)
+ */
+router.get('/:id/snapshots', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Target not found' });
+    }
+
+    const data = await snapshots.getByTarget(req.params.id, userId);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get snapshots error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load snapshots' });
+  }
+});
+
+/**
+ * GET /api/targets/:id/snapshots/:snapshotId
+ * Get one snapshot with its extracted text
+ */
+router.get('/:id/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const { id, snapshotId } = req.params;
+
+    const snapshot = isValidId(id) && isValidId(snapshotId) && await snapshots.getById(snapshotId, id, userId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    res.json({ success: true, data: expandSnapshot(snapshot) });
+  } catch (error) {
+    console.error('Get snapshot error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load snapshot' });
   }
 });
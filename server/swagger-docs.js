@@ -111,6 +111,35 @@
  *         description: 嘗試次數過多
  */
 
+/**
+ * @swagger
+ * /api/auth/demo:
+ *   post:
+ *     summary: 進入模擬模式
+ *     description: |
+ *       建立沙盒化的模擬身份（免註冊），使用預設頻率與模擬訊號。
+ *       模擬身份不會讀寫真實哨兵的資料，頻率管理 API 為唯讀。
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: 已進入模擬模式
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 已進入模擬模式
+ *                 sentinel:
+ *                   $ref: '#/components/schemas/Sentinel'
+ *       429:
+ *         description: 請求次數過多
+ */
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -216,8 +245,8 @@
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: 要監聽的關鍵字 (1-20 個)
- *                 example: ["AI", "GPT", "機器人"]
+ *                 description: 要監聽的關鍵字 (1-20 個)，可為查詢式 (AND/OR/NOT、"片語"、=整詞、/正規表示式/)
+ *                 example: ["AI", "layoff AND (Google OR Meta) NOT rumor", "=GPT"]
  *               name:
  *                 type: string
  *                 description: 頻率名稱 (選填)
@@ -227,6 +256,45 @@
  *                 minimum: 60
  *                 description: 檢查間隔秒數 (最小 60)
  *                 example: 60
+ *               snapshot_retention:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 description: 保留的內容快照數 (選填，預設 10)
+ *                 example: 10
+ *               target_type:
+ *                 type: string
+ *                 enum: [page, feed, json]
+ *                 description: 目標類型 (選填，預設 page；feed 為 RSS/Atom 訂閱，逐篇比對未讀文章；json 為 JSON API)
+ *                 example: page
+ *               json_path:
+ *                 type: string
+ *                 description: JSON 目標的擷取路徑 (選填，只雜湊選取到的值)
+ *                 example: "$.components[*]"
+ *               json_conditions:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: JSON 欄位條件 (選填；有條件時關鍵字可留空)
+ *                 example: ["status != \"operational\""]
+ *               alert_mode:
+ *                 type: string
+ *                 enum: [any, new_occurrences]
+ *                 description: 警報模式 (選填，預設 any；new_occurrences 僅在關鍵字出現於新上下文時觸發)
+ *                 example: any
+ *               include_selector:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: 只擷取符合此 CSS 選擇器的區塊 (選填)
+ *                 example: "#main-content"
+ *               exclude_selectors:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: 額外移除的 CSS 選擇器 (選填)
+ *                 example: [".timestamp", ".view-count"]
  *     responses:
  *       201:
  *         description: 建立成功
@@ -280,6 +348,41 @@
  *                   type: string
  *               name:
  *                 type: string
+ *               check_interval:
+ *                 type: integer
+ *                 minimum: 60
+ *                 description: 檢查間隔秒數 (最小 60)
+ *               snapshot_retention:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 description: 保留的內容快照數
+ *               target_type:
+ *                 type: string
+ *                 enum: [page, feed, json]
+ *                 description: 目標類型
+ *               json_path:
+ *                 type: string
+ *                 nullable: true
+ *                 description: JSON 目標的擷取路徑 (null 清除)
+ *               json_conditions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: JSON 欄位條件
+ *               alert_mode:
+ *                 type: string
+ *                 enum: [any, new_occurrences]
+ *                 description: 警報模式
+ *               include_selector:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 只擷取符合此 CSS 選擇器的區塊 (null 清除)
+ *               exclude_selectors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 額外移除的 CSS 選擇器
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -327,7 +430,9 @@
  * /api/targets/{id}/signals:
  *   get:
  *     summary: 取得頻率的訊號記錄
- *     description: 取得指定頻率攔截到的訊號
+ *     description: |
+ *       取得指定頻率攔截到的訊號，依攔截時間新到舊排列。
+ *       以游標分頁：回應中的 `nextCursor` 帶入下一次請求的 `cursor` 取得下一頁，為 null 表示沒有更多資料。
  *     tags: [Targets]
  *     security:
  *       - sessionAuth: []
@@ -338,6 +443,58 @@
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: threat_level
+ *         schema:
+ *           type: string
+ *           enum: [LOW, MEDIUM, HIGH, CRITICAL, UNKNOWN]
+ *         description: 威脅等級
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, acknowledged, dismissed, escalated]
+ *         description: 處置狀態
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: AI 分類（完全相符）
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 命中的關鍵字（完全相符）
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: 搜尋攔截內容（不分大小寫）
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 攔截時間下限（含）
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 攔截時間上限（含）
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: 上一頁回應的 nextCursor
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: 每頁筆數
  *     responses:
  *       200:
  *         description: 成功
@@ -352,6 +509,317 @@
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Signal'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: 下一頁的游標，沒有更多資料時為 null
+ *       400:
+ *         description: 頻率 ID、篩選條件或游標無效
+ */
+
+/**
+ * @swagger
+ * /api/targets/{id}/snapshots:
+ *   get:
+ *     summary: 取得頻率的內容快照列表
+ *     description: 每次內容變動時保存的擷取文字（壓縮儲存），依時間新到舊排列，不含內容本體
+ *     tags: [Targets]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Snapshot'
+ *       404:
+ *         description: 頻率 ID 無效
+ *       401:
+ *         description: 未授權
+ */
+
+/**
+ * @swagger
+ * /api/targets/{id}/snapshots/{snapshotId}:
+ *   get:
+ *     summary: 取得單一內容快照
+ *     description: 取得快照的完整擷取文字（已解壓縮）
+ *     tags: [Targets]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: snapshotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Snapshot'
+ *                     - type: object
+ *                       properties:
+ *                         text:
+ *                           type: string
+ *                           description: 擷取文字
+ *       404:
+ *         description: 快照不存在
+ *       401:
+ *         description: 未授權
+ */
+
+// ============================================
+// Signals API
+// ============================================
+
+/**
+ * @swagger
+ * /api/signals:
+ *   get:
+ *     summary: 瀏覽訊號檔案庫
+ *     description: |
+ *       取得所有頻率已儲存的訊號，依攔截時間新到舊排列。
+ *       以游標分頁：回應中的 `nextCursor` 帶入下一次請求的 `cursor` 取得下一頁，為 null 表示沒有更多資料。
+ *     tags: [Signals]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 只列出此頻率的訊號
+ *       - in: query
+ *         name: threat_level
+ *         schema:
+ *           type: string
+ *           enum: [LOW, MEDIUM, HIGH, CRITICAL, UNKNOWN]
+ *         description: 威脅等級
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, acknowledged, dismissed, escalated]
+ *         description: 處置狀態
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: AI 分類（完全相符）
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 命中的關鍵字（完全相符）
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: 搜尋攔截內容（不分大小寫）
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 攔截時間下限（含）
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 攔截時間上限（含）
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: 上一頁回應的 nextCursor
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: 每頁筆數
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Signal'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: 下一頁的游標，沒有更多資料時為 null
+ *       400:
+ *         description: 篩選條件或游標無效
+ *       401:
+ *         description: 未授權
+ */
+
+/**
+ * @swagger
+ * /api/signals/count:
+ *   get:
+ *     summary: 取得訊號總數
+ *     tags: [Signals]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 42
+ *       401:
+ *         description: 未授權
+ */
+
+/**
+ * @swagger
+ * /api/signals/{id}:
+ *   put:
+ *     summary: 處置訊號
+ *     description: |
+ *       更新訊號的處置狀態、負責人或備註，至少需提供一個欄位。
+ *       每次實際變更都會寫入稽核紀錄；與目前值相同的欄位不會記錄。
+ *     tags: [Signals]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [new, acknowledged, dismissed, escalated]
+ *                 description: 處置狀態（new 表示重新開啟）
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 負責人呼號，null 或空字串表示取消指派
+ *                 example: ECHO_1
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *                 description: 備註，null 或空字串表示清除
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Signal'
+ *       400:
+ *         description: 欄位無效或負責人呼號不存在
+ *       403:
+ *         description: 展示模式為唯讀
+ *       404:
+ *         description: 訊號不存在
+ *       401:
+ *         description: 未授權
+ */
+
+/**
+ * @swagger
+ * /api/signals/{id}/audit:
+ *   get:
+ *     summary: 取得訊號處置紀錄
+ *     description: 依時間新到舊排列的處置變更紀錄
+ *     tags: [Signals]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SignalAudit'
+ *       404:
+ *         description: 訊號不存在
+ *       401:
+ *         description: 未授權
  */
 
 // ============================================
@@ -365,15 +833,34 @@
  *     summary: 建立 SSE 連線
  *     description: |
  *       建立 Server-Sent Events 連線，接收即時訊號推送。
+ *       同一位哨兵可同時開啟多個連線（多螢幕、手機），事件會推送到每個連線；
+ *       關閉任一連線不會停止監聽。
  *
  *       **事件類型：**
  *       - `connected` - 連線建立成功
- *       - `signal` - 訊號攔截通知
- *       - `scan` - 掃描狀態更新
+ *       - `signal` - 訊號攔截通知（附帶與上一份快照的 `diff`；feed 目標附帶 `item`：標題、連結、發布時間）
+ *       - `scan` - 掃描狀態更新（內容變動時附帶 `diff`：新增/移除的文字片段）
  *       - `noise` - 背景噪音數據
  *       - `heartbeat` - 心跳 (每 30 秒)
  *       - `status` - 系統狀態訊息
+ *
+ *       `signal`、`scan`、`status` 事件帶有遞增的 `id:` 欄位。
+ *       重新連線時帶上 `Last-Event-ID` 標頭（或 `lastEventId` 查詢參數），
+ *       伺服器會從近期事件緩衝區補送遺漏的事件。
  *     tags: [Stream]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: 最後收到的事件 ID（EventSource 自動重連時會帶上）
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: 同 Last-Event-ID，供手動重新連線使用
  *     responses:
  *       200:
  *         description: SSE 連線建立
@@ -384,6 +871,10 @@
  *               example: |
  *                 event: connected
  *                 data: {"message":"SENTINEL LINK ESTABLISHED"}
+ *
+ *                 id: 1766232000042
+ *                 event: scan
+ *                 data: {"content":"[SCAN] HackerNews - No change detected"}
  */
 
 /**
@@ -391,8 +882,13 @@
  * /api/stream/start:
  *   post:
  *     summary: 開始監聽
- *     description: 啟動監聽循環，開始掃描所有頻率
+ *     description: |
+ *       啟動伺服器端監聽循環，開始掃描所有頻率。
+ *       監聽不需要 SSE 連線，瀏覽器關閉後仍會持續；期間攔截的訊號會存入資料庫，
+ *       並在下次連線時推送。
  *     tags: [Stream]
+ *     security:
+ *       - sessionAuth: []
  *     responses:
  *       200:
  *         description: 監聽已啟動
@@ -409,8 +905,6 @@
  *                   example: MONITORING INITIATED
  *                 sessionId:
  *                   type: string
- *       400:
- *         description: 尚未建立 SSE 連線
  */
 
 /**
@@ -420,6 +914,8 @@
  *     summary: 停止監聽
  *     description: 暫停監聽循環
  *     tags: [Stream]
+ *     security:
+ *       - sessionAuth: []
  *     responses:
  *       200:
  *         description: 監聽已暫停
@@ -443,6 +939,8 @@
  *     summary: 取得監聽狀態
  *     description: 取得當前監聽 session 的狀態
  *     tags: [Stream]
+ *     security:
+ *       - sessionAuth: []
  *     responses:
  *       200:
  *         description: 成功
@@ -462,9 +960,50 @@
  *                     sessionId:
  *                       type: string
  *                       nullable: true
+ *                     isScanning:
+ *                       type: boolean
+ *                       description: 是否有掃描批次正在執行
+ *                     queue:
+ *                       type: object
+ *                       description: 共用爬蟲工作池狀態
+ *                       properties:
+ *                         active:
+ *                           type: integer
+ *                           description: 全站執行中的爬取數
+ *                         queued:
+ *                           type: integer
+ *                           description: 此哨兵排隊中的爬取數
+ *                         concurrency:
+ *                           type: integer
+ *                           description: 同時爬取上限
+ *                     stats:
+ *                       type: object
+ *                       description: 伺服器啟動以來的掃描統計
+ *                       properties:
+ *                         scans:
+ *                           type: integer
+ *                           description: 掃描次數
+ *                         notModified:
+ *                           type: integer
+ *                           description: 伺服器回應 304 (內容未變) 的次數
+ *                         errors:
+ *                           type: integer
+ *                           description: 失敗次數
+ *                         bytesDownloaded:
+ *                           type: integer
+ *                           description: 下載的位元組數
+ *                         bytesSaved:
+ *                           type: integer
+ *                           description: 因條件式請求 (ETag / Last-Modified) 省下的估計位元組數
+ *                         since:
+ *                           type: string
+ *                           format: date-time
  *                     connected:
  *                       type: boolean
  *                       description: SSE 連線狀態
+ *                     connections:
+ *                       type: integer
+ *                       description: 目前開啟的 SSE 連線數 (可同時多個主控台)
  */
 
 /**
@@ -472,8 +1011,10 @@
  * /api/stream/scan:
  *   post:
  *     summary: 強制掃描
- *     description: 立即掃描所有頻率，不等待定時任務
+ *     description: 立即掃描所有頻率，不等待定時任務；結果透過 SSE 推送
  *     tags: [Stream]
+ *     security:
+ *       - sessionAuth: []
  *     responses:
  *       200:
  *         description: 掃描已啟動
@@ -488,12 +1029,152 @@
  *                 message:
  *                   type: string
  *                   example: MANUAL SCAN INITIATED
- *       400:
- *         description: 尚未建立 SSE 連線
  *       429:
  *         description: 掃描次數超過限制 (每分鐘 5 次)
  */
 
+// ============================================
+// Admin API
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/profiles:
+ *   get:
+ *     summary: 取得所有網域設定檔
+ *     description: 列出內建與自訂的網域設定檔；自訂設定檔會覆蓋相同樣式的內建設定檔
+ *     tags: [Admin]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DomainProfile'
+ *       403:
+ *         description: 需要管理員權限
+ *   post:
+ *     summary: 建立網域設定檔
+ *     description: 為符合樣式的主機設定額外標頭、Cookie、User-Agent、Accept-Language、最短請求間隔與預設擷取範圍
+ *     tags: [Admin]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pattern
+ *             properties:
+ *               name:
+ *                 type: string
+ *               pattern:
+ *                 type: string
+ *                 example: '*.example.com'
+ *               headers:
+ *                 type: object
+ *                 additionalProperties: { type: string }
+ *                 description: 不可設定 Host、Cookie、User-Agent、Accept-Language 等由系統管理的標頭
+ *               cookies:
+ *                 type: object
+ *                 additionalProperties: { type: string }
+ *               user_agent:
+ *                 type: string
+ *               accept_language:
+ *                 type: string
+ *               min_delay_ms:
+ *                 type: integer
+ *                 example: 2000
+ *               include_selector:
+ *                 type: string
+ *               exclude_selectors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: 建立成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DomainProfile'
+ *       400:
+ *         description: 輸入驗證失敗
+ *       403:
+ *         description: 需要管理員權限
+ *       409:
+ *         description: 已有相同樣式的自訂設定檔
+ */
+
+/**
+ * @swagger
+ * /api/admin/profiles/{id}:
+ *   put:
+ *     summary: 更新網域設定檔
+ *     description: 只更新提供的欄位；內建設定檔不可修改，請建立相同樣式的自訂設定檔覆蓋
+ *     tags: [Admin]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DomainProfile'
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 輸入驗證失敗或為內建設定檔
+ *       403:
+ *         description: 需要管理員權限
+ *       404:
+ *         description: 設定檔不存在
+ *   delete:
+ *     summary: 刪除網域設定檔
+ *     description: 刪除自訂設定檔；若它覆蓋了內建設定檔，內建設定檔會重新生效
+ *     tags: [Admin]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 刪除成功
+ *       400:
+ *         description: 內建設定檔不可刪除
+ *       404:
+ *         description: 設定檔不存在
+ *       403:
+ *         description: 需要管理員權限
+ */
+
 // ============================================
 // System API
 // ============================================
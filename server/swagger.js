@@ -21,6 +21,8 @@ const options = {
 
 大部分 API 需要先透過 \`/api/auth/login\` 登入取得 session，
 後續請求會自動帶上 session cookie。
+Stream API 同樣需要 session（不再接受 \`X-User-Id\` 標頭或 \`userId\` 參數）。
+可透過 \`/api/auth/demo\` 進入唯讀的模擬模式。
 
 ## Rate Limiting
 
@@ -57,10 +59,18 @@ const options = {
         name: 'Targets',
         description: '監聽頻率管理'
       },
+      {
+        name: 'Signals',
+        description: '訊號檔案庫與處置'
+      },
       {
         name: 'Stream',
         description: '即時串流與監控'
       },
+      {
+        name: 'Admin',
+        description: '管理員功能 (需列於 ADMIN_CALLSIGNS)'
+      },
       {
         name: 'System',
         description: '系統狀態'
@@ -79,6 +89,14 @@ const options = {
             callsign: {
               type: 'string',
               description: '哨兵代號'
+            },
+            demo: {
+              type: 'boolean',
+              description: '是否為模擬模式身份'
+            },
+            admin: {
+              type: 'boolean',
+              description: '是否為管理員 (僅 /api/auth/me)'
             }
           }
         },
@@ -98,12 +116,62 @@ const options = {
             keywords: {
               type: 'array',
               items: { type: 'string' },
-              description: '監聽關鍵字'
+              description: '監聽關鍵字，可為查詢式 (AND/OR/NOT、"片語"、=整詞、/正規表示式/)'
             },
             name: {
               type: 'string',
               description: '頻率名稱'
             },
+            check_interval: {
+              type: 'integer',
+              description: '檢查間隔秒數 (最小 60)'
+            },
+            snapshot_retention: {
+              type: 'integer',
+              description: '保留的內容快照數 (1-50)'
+            },
+            target_type: {
+              type: 'string',
+              enum: ['page', 'feed', 'json'],
+              description: '目標類型：page = 網頁文字；feed = RSS/Atom 訂閱 (逐篇比對)；json = JSON API (依路徑擷取欄位)'
+            },
+            json_path: {
+              type: 'string',
+              nullable: true,
+              description: 'JSON 目標的擷取路徑，例如 $.components[*] (null = 整份文件)'
+            },
+            json_conditions: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'JSON 欄位條件，任一成立即觸發訊號，例如 status != "operational"'
+            },
+            alert_mode: {
+              type: 'string',
+              enum: ['any', 'new_occurrences'],
+              description: '警報模式：any = 內容變動且含關鍵字即觸發；new_occurrences = 僅在關鍵字出現於新的上下文時觸發 (僅 page 目標)'
+            },
+            include_selector: {
+              type: 'string',
+              nullable: true,
+              description: '只擷取符合此 CSS 選擇器的區塊 (null = 整個 body)'
+            },
+            exclude_selectors: {
+              type: 'array',
+              items: { type: 'string' },
+              description: '額外移除的 CSS 選擇器 (廣告、時間戳、瀏覽計數等)'
+            },
+            last_check: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: '上次檢查時間'
+            },
+            blocked_reason: {
+              type: 'string',
+              nullable: true,
+              description: '被 robots.txt 禁止時的原因 (RESPECT_ROBOTS=true 時檢查，null = 未封鎖)',
+              example: 'Disallowed by robots.txt (Disallow: /private)'
+            },
             is_active: {
               type: 'boolean',
               description: '是否啟用'
@@ -126,6 +194,10 @@ const options = {
               type: 'string',
               format: 'uuid'
             },
+            source_url: {
+              type: 'string',
+              description: '來源網址'
+            },
             content: {
               type: 'string',
               description: '攔截內容'
@@ -143,9 +215,174 @@ const options = {
               enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNKNOWN'],
               description: '威脅等級'
             },
+            ai_category: {
+              type: 'string',
+              description: 'AI 分類'
+            },
+            item_title: {
+              type: 'string',
+              nullable: true,
+              description: '訂閱文章標題 (僅 feed 目標)'
+            },
+            item_link: {
+              type: 'string',
+              nullable: true,
+              description: '訂閱文章連結 (僅 feed 目標)'
+            },
+            item_published_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: '訂閱文章發布時間 (僅 feed 目標)'
+            },
+            intercepted_at: {
+              type: 'string',
+              format: 'date-time',
+              description: '攔截時間'
+            },
+            status: {
+              type: 'string',
+              enum: ['new', 'acknowledged', 'dismissed', 'escalated'],
+              description: '處置狀態'
+            },
+            assignee: {
+              type: 'string',
+              nullable: true,
+              description: '負責人呼號'
+            },
+            notes: {
+              type: 'string',
+              nullable: true,
+              description: '處置備註'
+            },
+            watch_targets: {
+              type: 'object',
+              nullable: true,
+              description: '所屬頻率',
+              properties: {
+                name: { type: 'string', nullable: true },
+                url: { type: 'string' }
+              }
+            }
+          }
+        },
+        SignalAudit: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            signal_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            actor: {
+              type: 'string',
+              description: '操作者呼號'
+            },
+            changes: {
+              type: 'object',
+              description: '變更的欄位與前後值',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  from: { nullable: true },
+                  to: { nullable: true }
+                }
+              },
+              example: { status: { from: 'new', to: 'escalated' } }
+            },
             created_at: {
               type: 'string',
-              format: 'date-time'
+              format: 'date-time',
+              description: '變更時間'
+            }
+          }
+        },
+        Snapshot: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            target_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            content_hash: {
+              type: 'string',
+              description: '內容 SHA-256 雜湊'
+            },
+            content_length: {
+              type: 'integer',
+              description: '擷取文字長度'
+            },
+            captured_at: {
+              type: 'string',
+              format: 'date-time',
+              description: '擷取時間'
+            }
+          }
+        },
+        DomainProfile: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: '設定檔 ID (內建設定檔以 builtin- 開頭)'
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+              description: '設定檔名稱'
+            },
+            pattern: {
+              type: 'string',
+              description: '網域樣式：ptt.cc 套用於該網域及所有子網域，*.example.com 僅套用於子網域',
+              example: 'ptt.cc'
+            },
+            headers: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: '額外請求標頭'
+            },
+            cookies: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: '請求 Cookie',
+              example: { over18: '1' }
+            },
+            user_agent: {
+              type: 'string',
+              nullable: true,
+              description: 'User-Agent (未設定時使用全域 USER_AGENT)'
+            },
+            accept_language: {
+              type: 'string',
+              nullable: true,
+              description: 'Accept-Language'
+            },
+            min_delay_ms: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 60000,
+              description: '對同一主機兩次請求之間的最短間隔 (毫秒)'
+            },
+            include_selector: {
+              type: 'string',
+              nullable: true,
+              description: '預設擷取範圍 (目標未設定時使用)'
+            },
+            exclude_selectors: {
+              type: 'array',
+              items: { type: 'string' },
+              description: '額外排除的元素 (與目標設定合併)'
+            },
+            builtin: {
+              type: 'boolean',
+              description: '是否為內建設定檔'
             }
           }
         },
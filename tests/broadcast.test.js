@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Broadcast Hub
+ * Tests event IDs, offline delivery and Last-Event-ID replay
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { publish, subscribe, getListenerCount } from '../server/lib/broadcast.js';
+
+// Collects events written to a fake client
+function createClient() {
+  const received = [];
+  const send = (type, data, id) => received.push({ type, data, id });
+  return { received, send };
+}
+
+describe('publish - Event IDs', () => {
+  it('should assign monotonically increasing IDs', () => {
+    const first = publish('user-ids', 'scan', { content: 'a' });
+    const second = publish('user-ids', 'scan', { content: 'b' });
+    assert.ok(second > first);
+  });
+
+  it('should deliver events to the live client with their ID', () => {
+    const client = createClient();
+    const unsubscribe = subscribe('user-live', client.send);
+
+    const id = publish('user-live', 'scan', { content: 'hello' });
+    unsubscribe();
+
+    assert.deepStrictEqual(client.received, [{ type: 'scan', data: { content: 'hello' }, id }]);
+  });
+});
+
+describe('publish - Fan-out', () => {
+  it('should deliver to every open connection of a user', () => {
+    const desk = createClient();
+    const phone = createClient();
+    const unsubscribeDesk = subscribe('user-multi', desk.send);
+    const unsubscribePhone = subscribe('user-multi', phone.send);
+
+    const id = publish('user-multi', 'signal', { type: 'SIGNAL_INTERCEPTED' });
+
+    assert.deepStrictEqual(desk.received.map(e => e.id), [id]);
+    assert.deepStrictEqual(phone.received.map(e => e.id), [id]);
+    unsubscribeDesk();
+    unsubscribePhone();
+  });
+
+  it('should keep the other connections when one closes', () => {
+    const desk = createClient();
+    const phone = createClient();
+    const unsubscribeDesk = subscribe('user-close', desk.send);
+    const unsubscribePhone = subscribe('user-close', phone.send);
+
+    unsubscribeDesk();
+    assert.strictEqual(getListenerCount('user-close'), 1);
+
+    publish('user-close', 'scan', { content: 'still here' });
+    assert.strictEqual(desk.received.length, 0);
+    assert.strictEqual(phone.received.length, 1);
+
+    unsubscribePhone();
+    assert.strictEqual(getListenerCount('user-close'), 0);
+  });
+});
+
+describe('subscribe - Replay', () => {
+  it('should deliver signals published while offline on a fresh connect', () => {
+    publish('user-offline', 'scan', { content: 'progress' });
+    const id = publish('user-offline', 'signal', { type: 'SIGNAL_INTERCEPTED' });
+
+    const client = createClient();
+    subscribe('user-offline', client.send)();
+
+    assert.deepStrictEqual(client.received.map(e => e.id), [id]);
+  });
+
+  it('should not redeliver offline signals to the next client', () => {
+    publish('user-once', 'signal', { type: 'SIGNAL_INTERCEPTED' });
+    subscribe('user-once', createClient().send)();
+
+    const client = createClient();
+    subscribe('user-once', client.send)();
+    assert.deepStrictEqual(client.received, []);
+  });
+
+  it('should replay every event after Last-Event-ID', () => {
+    const client = createClient();
+    const unsubscribe = subscribe('user-resume', client.send);
+    const seen = publish('user-resume', 'scan', { content: 'seen' });
+    unsubscribe();
+
+    const missedScan = publish('user-resume', 'scan', { content: 'missed' });
+    const missedSignal = publish('user-resume', 'signal', { type: 'SIGNAL_INTERCEPTED' });
+
+    const resumed = createClient();
+    subscribe('user-resume', resumed.send, seen)();
+
+    assert.deepStrictEqual(resumed.received.map(e => e.id), [missedScan, missedSignal]);
+  });
+
+  it('should warn when the buffer no longer reaches Last-Event-ID', () => {
+    const first = publish('user-overrun', 'scan', { content: 'first' });
+    for (let i = 0; i < 250; i++) {
+      publish('user-overrun', 'scan', { content: `event ${i}` });
+    }
+
+    const client = createClient();
+    subscribe('user-overrun', client.send, first - 1)();
+
+    assert.strictEqual(client.received[0].type, 'status');
+    assert.match(client.received[0].data.message, /LOST/);
+  });
+
+  it('should not warn when other users\' events sit between a user\'s IDs', () => {
+    const first = publish('user-shared-a', 'scan', { content: 'first' });
+    publish('user-shared-b', 'scan', { content: 'someone else' });
+    for (let i = 0; i < 200; i++) {
+      publish('user-shared-a', 'scan', { content: `event ${i}` });
+    }
+
+    const client = createClient();
+    subscribe('user-shared-a', client.send, first)();
+
+    assert.strictEqual(client.received.length, 200);
+    assert.ok(client.received.every(e => e.type === 'scan'));
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for the Demo Sandbox
+ * Tests that abandoned demo sessions release their watch and events
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { createDemoIdentity, startDemoMonitoring, getDemoStatus, scheduleDemoRelease, demoScan } from '../server/lib/demo.js';
+import { subscribe, getMissedEvents } from '../server/lib/broadcast.js';
+
+const IDLE_TIMEOUT = 60 * 1000;
+
+describe('demo session release', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setInterval', 'setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  it('should stop a watch that no console ever connected to', () => {
+    const { id } = createDemoIdentity();
+    startDemoMonitoring(id);
+    mock.timers.tick(IDLE_TIMEOUT);
+
+    assert.strictEqual(getDemoStatus(id).isActive, false);
+    assert.deepStrictEqual(getMissedEvents(id, 0).events, []);
+  });
+
+  it('should keep the watch while a console is connected', () => {
+    const { id } = createDemoIdentity();
+    const unsubscribe = subscribe(id, () => {});
+    startDemoMonitoring(id);
+    mock.timers.tick(IDLE_TIMEOUT * 3);
+    assert.strictEqual(getDemoStatus(id).isActive, true);
+
+    unsubscribe();
+    scheduleDemoRelease(id);
+    mock.timers.tick(IDLE_TIMEOUT);
+    assert.strictEqual(getDemoStatus(id).isActive, false);
+    assert.deepStrictEqual(getMissedEvents(id, 0).events, []);
+  });
+
+  it('should survive a reconnect within the idle timeout', () => {
+    const { id } = createDemoIdentity();
+    startDemoMonitoring(id);
+    mock.timers.tick(IDLE_TIMEOUT / 2);
+    const unsubscribe = subscribe(id, () => {});
+    mock.timers.tick(IDLE_TIMEOUT);
+
+    assert.strictEqual(getDemoStatus(id).isActive, true);
+    unsubscribe();
+    scheduleDemoRelease(id);
+    mock.timers.tick(IDLE_TIMEOUT);
+  });
+
+  it('should drop events from a manual scan nobody received', () => {
+    const { id } = createDemoIdentity();
+    demoScan(id);
+    assert.ok(getMissedEvents(id, 0).events.length > 0);
+
+    mock.timers.tick(IDLE_TIMEOUT);
+    assert.deepStrictEqual(getMissedEvents(id, 0).events, []);
+  });
+});
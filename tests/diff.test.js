@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for Diff Engine
+ * Tests segmentation and added/removed detection between scans
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { segmentText, diffText } from '../server/lib/diff.js';
+
+// ============================================
+// segmentText - Segmentation Tests
+// ============================================
+
+describe('segmentText - Segmentation', () => {
+  it('should split on sentence punctuation', () => {
+    assert.deepStrictEqual(segmentText('First one. Second one! Third?'), ['First one.', 'Second one!', 'Third?']);
+  });
+
+  it('should split on CJK punctuation', () => {
+    assert.deepStrictEqual(segmentText('今天天氣很好。明天下雨！'), ['今天天氣很好。', '明天下雨！']);
+  });
+
+  it('should chunk long runs without punctuation', () => {
+    const segments = segmentText('word '.repeat(200).trim());
+    assert.ok(segments.length > 1);
+    assert.ok(segments.every(segment => segment.length <= 200));
+  });
+
+  it('should return no segments for empty text', () => {
+    assert.deepStrictEqual(segmentText(''), []);
+  });
+});
+
+// ============================================
+// diffText - Change Detection Tests
+// ============================================
+
+describe('diffText - Change Detection', () => {
+  it('should report nothing for identical text', () => {
+    const diff = diffText('A one. B two.', 'A one. B two.');
+    assert.deepStrictEqual(diff.added, []);
+    assert.deepStrictEqual(diff.removed, []);
+  });
+
+  it('should detect an appended sentence', () => {
+    const diff = diffText('A one. B two.', 'A one. B two. C three.');
+    assert.deepStrictEqual(diff.added, ['C three.']);
+    assert.deepStrictEqual(diff.removed, []);
+  });
+
+  it('should detect a replaced sentence in the middle', () => {
+    const diff = diffText('A one. B two. C three.', 'A one. B changed. C three.');
+    assert.deepStrictEqual(diff.added, ['B changed.']);
+    assert.deepStrictEqual(diff.removed, ['B two.']);
+  });
+
+  it('should merge consecutive changes into one segment', () => {
+    const diff = diffText('A one. D four.', 'A one. B two. C three. D four.');
+    assert.deepStrictEqual(diff.added, ['B two. C three.']);
+    assert.strictEqual(diff.stats.added, 1);
+  });
+
+  it('should treat everything as added when there was no previous text', () => {
+    const diff = diffText('', 'Hello world.');
+    assert.deepStrictEqual(diff.added, ['Hello world.']);
+  });
+
+  it('should cap reported segments and flag truncation', () => {
+    const before = Array.from({ length: 60 }, (_, i) => `Keep ${i}.`).join(' ');
+    const after = Array.from({ length: 60 }, (_, i) => `Keep ${i}. New ${i}.`).join(' ');
+    const diff = diffText(before, after);
+    assert.strictEqual(diff.added.length, 20);
+    assert.strictEqual(diff.stats.added, 60);
+    assert.strictEqual(diff.truncated, true);
+  });
+});
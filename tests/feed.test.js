@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Feed Reader
+ * Tests RSS/Atom parsing and per-item keyword matching
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseFeed, matchFeedItems, MAX_SEEN_GUIDS } from '../server/lib/feed.js';
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Bunker Bulletin</title>
+    <item>
+      <title>Supply drop &amp; rescue</title>
+      <link>https://example.com/posts/1</link>
+      <guid>post-1</guid>
+      <pubDate>Tue, 06 Oct 2026 08:00:00 GMT</pubDate>
+      <description><![CDATA[<p>Rescue team <b>arrives</b> at dawn</p>]]></description>
+    </item>
+    <item>
+      <title>Weather report</title>
+      <link>https://example.com/posts/2</link>
+      <description>Cloudy with ash</description>
+      <content:encoded><![CDATA[<p>Full report: cloudy with ash, no survivors spotted</p>]]></content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Relay Log</title>
+  <entry>
+    <title>New AI model released</title>
+    <link rel="alternate" href="https://example.org/entries/ai"/>
+    <link rel="edit" href="https://example.org/edit/ai"/>
+    <id>tag:example.org,2026:ai</id>
+    <updated>2026-10-06T09:30:00Z</updated>
+    <summary>Runs offline on salvaged hardware</summary>
+  </entry>
+</feed>`;
+
+// ============================================
+// parseFeed - Parsing Tests
+// ============================================
+
+describe('parseFeed - RSS', () => {
+  const items = parseFeed(RSS);
+
+  it('should read every item', () => {
+    assert.strictEqual(items.length, 2);
+  });
+
+  it('should read title, link, guid and publish date', () => {
+    assert.deepStrictEqual(
+      { guid: items[0].guid, title: items[0].title, link: items[0].link, publishedAt: items[0].publishedAt },
+      {
+        guid: 'post-1',
+        title: 'Supply drop & rescue',
+        link: 'https://example.com/posts/1',
+        publishedAt: '2026-10-06T08:00:00.000Z'
+      }
+    );
+  });
+
+  it('should strip HTML from descriptions', () => {
+    assert.strictEqual(items[0].text, 'Rescue team arrives at dawn');
+  });
+
+  it('should prefer content:encoded and fall back to the link as guid', () => {
+    assert.strictEqual(items[1].guid, 'https://example.com/posts/2');
+    assert.ok(items[1].text.includes('no survivors spotted'));
+    assert.strictEqual(items[1].publishedAt, null);
+  });
+});
+
+describe('parseFeed - Atom', () => {
+  const [entry] = parseFeed(ATOM);
+
+  it('should read the entry id, title and updated date', () => {
+    assert.strictEqual(entry.guid, 'tag:example.org,2026:ai');
+    assert.strictEqual(entry.title, 'New AI model released');
+    assert.strictEqual(entry.publishedAt, '2026-10-06T09:30:00.000Z');
+  });
+
+  it('should use the alternate link', () => {
+    assert.strictEqual(entry.link, 'https://example.org/entries/ai');
+  });
+
+  it('should read the summary as text', () => {
+    assert.strictEqual(entry.text, 'Runs offline on salvaged hardware');
+  });
+});
+
+describe('parseFeed - Invalid Input', () => {
+  it('should reject documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body>Hello</body></html>'), /Not an RSS or Atom feed/);
+  });
+});
+
+// ============================================
+// matchFeedItems - Per-Item Matching Tests
+// ============================================
+
+describe('matchFeedItems - Per-Item Matching', () => {
+  const items = parseFeed(RSS);
+
+  it('should match keywords per item', () => {
+    const result = matchFeedItems(items, ['rescue', 'survivors'], []);
+    assert.strictEqual(result.matches.length, 2);
+    assert.deepStrictEqual(result.matches[0].keywords, ['rescue']);
+    assert.deepStrictEqual(result.matches[1].keywords, ['survivors']);
+  });
+
+  it('should not match keywords split across items', () => {
+    const result = matchFeedItems(items, ['rescue AND ash'], []);
+    assert.strictEqual(result.matches.length, 0);
+  });
+
+  it('should skip items already seen', () => {
+    const result = matchFeedItems(items, ['rescue', 'survivors'], ['post-1']);
+    assert.strictEqual(result.newCount, 1);
+    assert.deepStrictEqual(result.matches.map(match => match.item.guid), ['https://example.com/posts/2']);
+  });
+
+  it('should record every new item as seen, matched or not', () => {
+    const result = matchFeedItems(items, ['nothing-matches'], null);
+    assert.deepStrictEqual(result.seenGuids, ['post-1', 'https://example.com/posts/2']);
+  });
+
+  it('should cap the remembered guids', () => {
+    const seen = Array.from({ length: MAX_SEEN_GUIDS }, (_, i) => `old-${i}`);
+    const result = matchFeedItems(items, ['rescue'], seen);
+    assert.strictEqual(result.seenGuids.length, MAX_SEEN_GUIDS);
+    assert.strictEqual(result.seenGuids[0], 'post-1');
+  });
+
+  it('should cap signals per scan and count the rest', () => {
+    const many = Array.from({ length: 15 }, (_, i) => ({ guid: `g${i}`, title: `AI news ${i}`, link: null, publishedAt: null, text: '' }));
+    const result = matchFeedItems(many, ['AI'], []);
+    assert.strictEqual(result.matches.length, 10);
+    assert.strictEqual(result.skipped, 5);
+    assert.strictEqual(result.seenGuids.length, 15);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit Tests for the File Storage Adapter
+ * Tests CRUD, ordering, joins, cascades and the storage interface
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'sentinel-data-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'file';
+
+const { targets, signals, signalAudit, snapshots, sentinels, profiles } = await import('../server/lib/filestore.js');
+const { assertAdapter } = await import('../server/lib/storage.js');
+
+/**
+ * Timestamp a fixed number of seconds after a base time
+ * @param {number} seconds - Offset
+ * @returns {string}
+ */
+function at(seconds) {
+  return new Date(Date.UTC(2025, 0, 1) + seconds * 1000).toISOString();
+}
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('storage interface', () => {
+  it('should be implemented by the file adapter', async () => {
+    assert.doesNotThrow(() => assertAdapter(
+      { targets, signals, signalAudit, snapshots, sentinels, profiles }, 'file'
+    ));
+  });
+
+  it('should name the first missing method', () => {
+    assert.throws(
+      () => assertAdapter({ targets: {} }, 'broken'),
+      /Storage backend "broken" is missing targets\.getByUser\(\)/
+    );
+  });
+});
+
+describe('sentinels', () => {
+  it('should create and find a sentinel by callsign', async () => {
+    const created = await sentinels.create({ callsign: 'ECHO-1' });
+    assert.ok(created.id);
+    assert.strictEqual(created.monitoring_enabled, null);
+
+    const found = await sentinels.getByCallsign('echo-1');
+    assert.strictEqual(found.id, created.id);
+    assert.strictEqual(await sentinels.getByCallsign('NOBODY'), null);
+  });
+
+  it('should track the monitoring flag', async () => {
+    const { id } = await sentinels.create({ callsign: 'ECHO-2' });
+    await sentinels.setMonitoring(id, true);
+
+    assert.ok((await sentinels.getIdsByMonitoring(true)).includes(id));
+    assert.ok(!(await sentinels.getIdsByMonitoring(false)).includes(id));
+  });
+
+  it('should only report sentinels who stopped their watch as stopped', async () => {
+    const { id } = await sentinels.create({ callsign: 'ECHO-3' });
+    assert.ok(!(await sentinels.getIdsByMonitoring(true)).includes(id));
+    assert.ok(!(await sentinels.getIdsByMonitoring(false)).includes(id));
+
+    await sentinels.setMonitoring(id, false);
+    assert.ok((await sentinels.getIdsByMonitoring(false)).includes(id));
+  });
+});
+
+describe('targets', () => {
+  it('should list a user\'s targets newest first', async () => {
+    await targets.create({ user_id: 'u1', name: 'Old', url: 'https://a.example/', created_at: at(0) });
+    await targets.create({ user_id: 'u1', name: 'New', url: 'https://b.example/', created_at: at(10) });
+    await targets.create({ user_id: 'u2', name: 'Other', url: 'https://c.example/' });
+
+    const rows = await targets.getByUser('u1');
+    assert.deepStrictEqual(rows.map(row => row.name), ['New', 'Old']);
+    assert.strictEqual(rows[0].is_active, true);
+  });
+
+  it('should only update targets owned by the user', async () => {
+    const target = await targets.create({ user_id: 'u3', name: 'Mine', url: 'https://d.example/' });
+
+    assert.strictEqual(await targets.update(target.id, 'someone-else', { name: 'Stolen' }), undefined);
+    const updated = await targets.update(target.id, 'u3', { is_active: false });
+    assert.strictEqual(updated.is_active, false);
+    assert.strictEqual(updated.name, 'Mine');
+    assert.deepStrictEqual(await targets.getActiveByUser('u3'), []);
+  });
+
+  it('should not hand out references to stored rows', async () => {
+    const target = await targets.create({ user_id: 'u4', name: 'Safe', url: 'https://e.example/' });
+    target.name = 'Mutated';
+    const [row] = await targets.getByUser('u4');
+    assert.strictEqual(row.name, 'Safe');
+  });
+
+  it('should record the last check with HTTP validators', async () => {
+    const target = await targets.create({ user_id: 'u5', name: 'Check', url: 'https://f.example/' });
+    await targets.updateLastCheck(target.id, 'abc', { etag: '"v1"' });
+
+    const [row] = await targets.getByUser('u5');
+    assert.strictEqual(row.last_hash, 'abc');
+    assert.strictEqual(row.etag, '"v1"');
+    assert.ok(row.last_check);
+  });
+
+  it('should write tables to DATA_DIR', async () => {
+    await targets.create({ user_id: 'u6', name: 'Persisted', url: 'https://g.example/' });
+    const rows = JSON.parse(fs.readFileSync(join(dataDir, 'watch_targets.json'), 'utf8'));
+    assert.ok(rows.some(row => row.name === 'Persisted'));
+  });
+});
+
+describe('signals and snapshots', () => {
+  let target;
+
+  before(async () => {
+    target = await targets.create({ user_id: 'u7', name: 'Feed', url: 'https://h.example/' });
+    await signals.create({ user_id: 'u7', target_id: target.id, ai_threat_level: 'LOW', intercepted_at: at(0) });
+    await signals.create({ user_id: 'u7', target_id: target.id, ai_threat_level: 'HIGH', intercepted_at: at(5) });
+    for (let i = 0; i < 3; i++) {
+      await snapshots.create({ user_id: 'u7', target_id: target.id, content_hash: `h${i}`, content: 'gz', captured_at: at(i) });
+    }
+  });
+
+  it('should attach the target name and URL to signals', async () => {
+    const rows = await signals.getByUser('u7');
+    assert.deepStrictEqual(rows.map(row => row.ai_threat_level), ['HIGH', 'LOW']);
+    assert.deepStrictEqual(rows[0].watch_targets, { name: 'Feed', url: 'https://h.example/' });
+    assert.strictEqual((await signals.getByUser('u7', 1)).length, 1);
+  });
+
+  it('should filter signals by threat level', async () => {
+    const rows = await signals.getByThreatLevel('u7', 'HIGH');
+    assert.strictEqual(rows.length, 1);
+  });
+
+  it('should count a user\'s signals', async () => {
+    assert.strictEqual(await signals.count('u7'), 2);
+    assert.strictEqual(await signals.count('nobody'), 0);
+  });
+
+  it('should page through a target\'s signals without gaps', async () => {
+    const other = await targets.create({ user_id: 'u7', name: 'Other', url: 'https://i.example/' });
+    for (let i = 0; i < 3; i++) {
+      await signals.create({ user_id: 'u7', target_id: other.id, ai_threat_level: 'LOW', intercepted_at: at(100) });
+    }
+
+    const first = await signals.query('u7', { targetId: other.id, limit: 2 });
+    const last = first[first.length - 1];
+    const rest = await signals.query('u7', {
+      targetId: other.id,
+      cursor: { interceptedAt: last.intercepted_at, id: last.id }
+    });
+
+    const ids = [...first, ...rest].map(row => row.id);
+    assert.strictEqual(new Set(ids).size, 3);
+    assert.ok(rest.every(row => row.target_id === other.id));
+    assert.deepStrictEqual(first[0].watch_targets, { name: 'Other', url: 'https://i.example/' });
+  });
+
+  it('should start signals untriaged and update them per user', async () => {
+    const [row] = await signals.query('u7', { targetId: target.id, threatLevel: 'HIGH' });
+    assert.strictEqual(row.status, 'new');
+    assert.strictEqual(row.assignee, null);
+
+    assert.strictEqual(await signals.update(row.id, 'u8', { status: 'dismissed' }), undefined);
+    const updated = await signals.update(row.id, 'u7', { status: 'escalated', notes: 'Check upstream' });
+    assert.strictEqual(updated.status, 'escalated');
+
+    const found = await signals.getById(row.id, 'u7');
+    assert.strictEqual(found.notes, 'Check upstream');
+    assert.deepStrictEqual(found.watch_targets, { name: 'Feed', url: 'https://h.example/' });
+    assert.strictEqual(await signals.getById(row.id, 'u8'), null);
+    assert.strictEqual((await signals.query('u7', { status: 'escalated' })).length, 1);
+  });
+
+  it('should list a signal\'s audit trail newest first', async () => {
+    const [row] = await signals.query('u7', { targetId: target.id, threatLevel: 'LOW' });
+    const changes = { status: { from: 'new', to: 'acknowledged' } };
+    await signalAudit.create({ signal_id: row.id, user_id: 'u7', actor: 'ECHO-1', changes, created_at: at(0) });
+    await signalAudit.create({ signal_id: row.id, user_id: 'u7', actor: 'ECHO-2', changes, created_at: at(1) });
+
+    const entries = await signalAudit.getBySignal(row.id, 'u7');
+    assert.deepStrictEqual(entries.map(entry => entry.actor), ['ECHO-2', 'ECHO-1']);
+    assert.deepStrictEqual(entries[0].changes, changes);
+    assert.deepStrictEqual(await signalAudit.getBySignal(row.id, 'u8'), []);
+  });
+
+  it('should list snapshot metadata without content', async () => {
+    const rows = await snapshots.getByTarget(target.id, 'u7');
+    assert.deepStrictEqual(rows.map(row => row.content_hash), ['h2', 'h1', 'h0']);
+    assert.strictEqual(rows[0].content, undefined);
+
+    const full = await snapshots.getById(rows[0].id, target.id, 'u7');
+    assert.strictEqual(full.content, 'gz');
+    assert.strictEqual(await snapshots.getById(rows[0].id, target.id, 'u8'), null);
+  });
+
+  it('should keep only the newest snapshots when pruning', async () => {
+    assert.strictEqual(await snapshots.prune(target.id, 2), 1);
+    assert.strictEqual((await snapshots.getLatest(target.id)).content_hash, 'h2');
+    assert.strictEqual((await snapshots.getByTarget(target.id, 'u7')).length, 2);
+  });
+
+  it('should delete signals, their audit trails and snapshots with their target', async () => {
+    const ids = (await signals.query('u7', { targetId: target.id })).map(row => row.id);
+    await targets.delete(target.id, 'u7');
+    assert.deepStrictEqual(await signals.query('u7', { targetId: target.id }), []);
+    for (const id of ids) {
+      assert.deepStrictEqual(await signalAudit.getBySignal(id, 'u7'), []);
+    }
+    assert.strictEqual(await snapshots.getLatest(target.id), null);
+  });
+});
+
+describe('profiles', () => {
+  it('should create, update and delete profiles in creation order', async () => {
+    const first = await profiles.create({ pattern: 'a.example', created_at: at(0) });
+    await profiles.create({ pattern: 'b.example', created_at: at(1) });
+
+    const updated = await profiles.update(first.id, { min_delay_ms: 2000 });
+    assert.strictEqual(updated.min_delay_ms, 2000);
+    assert.deepStrictEqual((await profiles.getAll()).map(row => row.pattern), ['a.example', 'b.example']);
+
+    assert.strictEqual(await profiles.delete(first.id), true);
+    assert.strictEqual(await profiles.delete(first.id), false);
+    assert.deepStrictEqual((await profiles.getAll()).map(row => row.pattern), ['b.example']);
+  });
+});
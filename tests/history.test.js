@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for Signal History Queries
+ * Tests filter validation, cursors and page splitting
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  encodeCursor, decodeCursor, parseHistoryQuery, matchesHistoryFilters, toPage, isValidId,
+  DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE
+} from '../server/lib/history.js';
+
+const row = {
+  id: '6f1c2a9e-0000-4000-8000-000000000002',
+  target_id: 't1',
+  matched_keywords: ['outage', 'error rate'],
+  ai_threat_level: 'HIGH',
+  ai_category: 'INFRA',
+  intercepted_at: '2025-01-15T12:00:00.000Z'
+};
+
+describe('cursors', () => {
+  it('should round-trip the position of a row', () => {
+    assert.deepStrictEqual(decodeCursor(encodeCursor(row)), {
+      interceptedAt: row.intercepted_at,
+      id: row.id
+    });
+  });
+
+  it('should keep database timestamps with microseconds and offsets', () => {
+    const cursor = encodeCursor({ id: 'abc', intercepted_at: '2025-01-15T12:00:00.123456+00:00' });
+    assert.strictEqual(decodeCursor(cursor).interceptedAt, '2025-01-15T12:00:00.123456+00:00');
+  });
+
+  it('should reject malformed or tampered cursors', () => {
+    assert.strictEqual(decodeCursor('not-a-cursor'), null);
+    assert.strictEqual(decodeCursor(Buffer.from('yesterday|abc').toString('base64url')), null);
+    assert.strictEqual(decodeCursor(Buffer.from('2025-01-15T12:00:00Z|a,id.gt.0').toString('base64url')), null);
+    assert.strictEqual(decodeCursor(['a']), null);
+  });
+});
+
+describe('isValidId', () => {
+  it('should accept UUIDs and reject anything that could alter a filter', () => {
+    assert.strictEqual(isValidId(row.id), true);
+    assert.strictEqual(isValidId('not-a-uuid'), false);
+    assert.strictEqual(isValidId('x,id.gt.0'), false);
+    assert.strictEqual(isValidId(['abc']), false);
+  });
+});
+
+describe('parseHistoryQuery', () => {
+  it('should default to the first page with no filters', () => {
+    assert.deepStrictEqual(parseHistoryQuery({}), { filters: {}, cursor: null, limit: DEFAULT_PAGE_SIZE });
+  });
+
+  it('should normalize filters', () => {
+    const { filters, limit } = parseHistoryQuery({
+      threat_level: 'high',
+      category: 'INFRA',
+      keyword: 'outage',
+      from: '2025-01-01',
+      to: '2025-01-31T23:59:59Z',
+      limit: '10'
+    });
+    assert.deepStrictEqual(filters, {
+      threatLevel: 'HIGH',
+      category: 'INFRA',
+      keyword: 'outage',
+      from: '2025-01-01T00:00:00.000Z',
+      to: '2025-01-31T23:59:59.000Z'
+    });
+    assert.strictEqual(limit, 10);
+  });
+
+  it('should accept a target and a trimmed content search', () => {
+    const { filters } = parseHistoryQuery({ target_id: row.id, search: '  Outage ' });
+    assert.deepStrictEqual(filters, { targetId: row.id, search: 'Outage' });
+    assert.match(parseHistoryQuery({ target_id: 'x,id.gt.0' }).error, /Invalid target ID/);
+  });
+
+  it('should accept a triage status', () => {
+    assert.deepStrictEqual(parseHistoryQuery({ status: 'escalated' }).filters, { status: 'escalated' });
+    assert.match(parseHistoryQuery({ status: 'ESCALATED' }).error, /Status must be one of/);
+  });
+
+  it('should ignore empty parameters', () => {
+    assert.deepStrictEqual(parseHistoryQuery({ threat_level: '', status: '', cursor: '', limit: '' }).filters, {});
+  });
+
+  it('should reject invalid values', () => {
+    assert.match(parseHistoryQuery({ threat_level: 'SEVERE' }).error, /Threat level must be one of/);
+    assert.match(parseHistoryQuery({ keyword: ['a', 'b'] }).error, /Keyword/);
+    assert.match(parseHistoryQuery({ from: 'last week' }).error, /ISO 8601/);
+    assert.match(parseHistoryQuery({ from: '2025-02-01', to: '2025-01-01' }).error, /"from" must be before "to"/);
+    assert.match(parseHistoryQuery({ cursor: 'garbage' }).error, /Invalid cursor/);
+    assert.match(parseHistoryQuery({ limit: '0' }).error, /Limit/);
+    assert.match(parseHistoryQuery({ limit: String(MAX_PAGE_SIZE + 1) }).error, /Limit/);
+  });
+});
+
+describe('matchesHistoryFilters', () => {
+  it('should match when no filters are given', () => {
+    assert.strictEqual(matchesHistoryFilters(row), true);
+  });
+
+  it('should apply each filter', () => {
+    assert.strictEqual(matchesHistoryFilters(row, { targetId: 't2' }), false);
+    assert.strictEqual(matchesHistoryFilters(row, { threatLevel: 'LOW' }), false);
+    assert.strictEqual(matchesHistoryFilters(row, { category: 'INFRA' }), true);
+    assert.strictEqual(matchesHistoryFilters(row, { keyword: 'error rate' }), true);
+    assert.strictEqual(matchesHistoryFilters(row, { keyword: 'error' }), false);
+  });
+
+  it('should treat signals without a status as new', () => {
+    assert.strictEqual(matchesHistoryFilters(row, { status: 'new' }), true);
+    assert.strictEqual(matchesHistoryFilters({ ...row, status: 'dismissed' }, { status: 'new' }), false);
+    assert.strictEqual(matchesHistoryFilters({ ...row, status: 'dismissed' }, { status: 'dismissed' }), true);
+  });
+
+  it('should search content case-insensitively', () => {
+    const withContent = { ...row, content: 'Regional OUTAGE reported' };
+    assert.strictEqual(matchesHistoryFilters(withContent, { search: 'outage' }), true);
+    assert.strictEqual(matchesHistoryFilters(withContent, { search: 'flood' }), false);
+    assert.strictEqual(matchesHistoryFilters(row, { search: 'outage' }), false);
+  });
+
+  it('should include both ends of the date range', () => {
+    assert.strictEqual(matchesHistoryFilters(row, { from: row.intercepted_at, to: row.intercepted_at }), true);
+    assert.strictEqual(matchesHistoryFilters(row, { from: '2025-01-16T00:00:00.000Z' }), false);
+    assert.strictEqual(matchesHistoryFilters(row, { to: '2025-01-15T11:59:59.999Z' }), false);
+  });
+
+  it('should only match rows after the cursor', () => {
+    const sameTime = { interceptedAt: row.intercepted_at };
+    assert.strictEqual(matchesHistoryFilters(row, { cursor: { ...sameTime, id: row.id } }), false);
+    assert.strictEqual(matchesHistoryFilters(row, { cursor: { ...sameTime, id: 'ffffffff' } }), true);
+    assert.strictEqual(matchesHistoryFilters(row, { cursor: { interceptedAt: '2025-01-15T11:00:00.000Z', id: 'f' } }), false);
+  });
+});
+
+describe('toPage', () => {
+  const rows = [1, 2, 3].map(n => ({ id: `0000000${n}`, intercepted_at: `2025-01-0${n}T00:00:00.000Z` }));
+
+  it('should return a cursor when an extra row was fetched', () => {
+    const { data, nextCursor } = toPage(rows, 2);
+    assert.strictEqual(data.length, 2);
+    assert.strictEqual(decodeCursor(nextCursor).id, '00000002');
+  });
+
+  it('should return no cursor on the last page', () => {
+    assert.deepStrictEqual(toPage(rows, 3), { data: rows, nextCursor: null });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for JSON Extraction
+ * Tests path selection, field conditions and change hashing
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parsePath, queryPath, parseCondition, evaluateCondition, extractJson } from '../server/lib/jsonpath.js';
+
+const STATUS = {
+  page: { name: 'Relay Status', updated_at: '2026-10-06T09:30:00Z' },
+  components: [
+    { name: 'API', status: 'operational', latency_ms: 120 },
+    { name: 'Radio Relay', status: 'degraded_performance', latency_ms: 900 },
+    { name: 'Archive', status: 'operational', tags: ['storage', 'cold'] }
+  ],
+  'release notes': [{ version: '2.1.0' }, { version: '2.0.3' }]
+};
+
+// ============================================
+// queryPath - Path Selection Tests
+// ============================================
+
+describe('queryPath - Path Selection', () => {
+  it('should select nested fields', () => {
+    assert.deepStrictEqual(queryPath(STATUS, '$.page.name'), ['Relay Status']);
+  });
+
+  it('should select array elements by index and wildcard', () => {
+    assert.deepStrictEqual(queryPath(STATUS, '$.components[1].name'), ['Radio Relay']);
+    assert.deepStrictEqual(queryPath(STATUS, '$.components[*].status'), [
+      'operational', 'degraded_performance', 'operational'
+    ]);
+  });
+
+  it('should select quoted keys', () => {
+    assert.deepStrictEqual(queryPath(STATUS, "$['release notes'][0].version"), ['2.1.0']);
+  });
+
+  it('should select fields at any depth with ..', () => {
+    assert.deepStrictEqual(queryPath(STATUS, '$..version'), ['2.1.0', '2.0.3']);
+  });
+
+  it('should return nothing for missing fields', () => {
+    assert.deepStrictEqual(queryPath(STATUS, '$.incidents[0]'), []);
+  });
+
+  it('should return the whole document for $', () => {
+    assert.deepStrictEqual(queryPath(STATUS, '$'), [STATUS]);
+  });
+});
+
+describe('parsePath - Syntax Errors', () => {
+  it('should require a leading $', () => {
+    assert.throws(() => parsePath('components[0]'), /must start with "\$"/);
+  });
+
+  it('should reject unclosed and invalid brackets', () => {
+    assert.throws(() => parsePath('$.components[0'), /Missing closing bracket/);
+    assert.throws(() => parsePath('$.components[?(@.x)]'), /Invalid bracket selector/);
+  });
+});
+
+// ============================================
+// Conditions
+// ============================================
+
+describe('evaluateCondition - Field Conditions', () => {
+  const components = queryPath(STATUS, '$.components[*]');
+  const hits = (source) => evaluateCondition(components, parseCondition(source)).map(node => node.name);
+
+  it('should compare strings with == and !=', () => {
+    assert.deepStrictEqual(hits('status != "operational"'), ['Radio Relay']);
+    assert.deepStrictEqual(hits('status == "operational"'), ['API', 'Archive']);
+  });
+
+  it('should read unquoted values as strings', () => {
+    assert.deepStrictEqual(hits('status != operational'), ['Radio Relay']);
+  });
+
+  it('should compare numbers', () => {
+    assert.deepStrictEqual(hits('@.latency_ms > 500'), ['Radio Relay']);
+    assert.deepStrictEqual(hits('latency_ms <= 120'), ['API']);
+  });
+
+  it('should check array and string containment', () => {
+    assert.deepStrictEqual(hits('tags contains "cold"'), ['Archive']);
+    assert.deepStrictEqual(hits('name contains "relay"'), ['Radio Relay']);
+  });
+
+  it('should never match a missing field', () => {
+    assert.deepStrictEqual(hits('uptime != 100'), []);
+  });
+
+  it('should reject conditions without an operator', () => {
+    assert.throws(() => parseCondition('status operational'), /Condition needs one of/);
+  });
+});
+
+// ============================================
+// extractJson - Extraction Tests
+// ============================================
+
+describe('extractJson - Extraction', () => {
+  const body = JSON.stringify(STATUS);
+
+  it('should only hash the selected values', () => {
+    const before = extractJson(body, [], { path: '$.components[*].status' });
+    const touched = JSON.stringify({ ...STATUS, page: { ...STATUS.page, updated_at: '2026-10-07T00:00:00Z' } });
+    const after = extractJson(touched, [], { path: '$.components[*].status' });
+    assert.strictEqual(before.hash, after.hash);
+  });
+
+  it('should match keywords against the selected values', () => {
+    const result = extractJson(body, ['degraded', 'outage'], { path: '$.components[*].status' });
+    assert.deepStrictEqual(result.matches, ['degraded']);
+    assert.ok(result.content.includes('degraded_performance'));
+  });
+
+  it('should report triggered conditions alongside keywords', () => {
+    const result = extractJson(body, ['Relay'], {
+      path: '$.components[*]',
+      conditions: ['status != "operational"', 'latency_ms > 5000']
+    });
+    assert.deepStrictEqual(result.matches, ['Relay', 'status != "operational"']);
+    assert.ok(result.content.includes('[status != "operational"] 1 node(s)'));
+  });
+
+  it('should reject invalid JSON', () => {
+    assert.throws(() => extractJson('<html></html>', ['a']), /not valid JSON/);
+  });
+
+  it('should reject a path that selects nothing', () => {
+    assert.throws(() => extractJson(body, ['a'], { path: '$.missing' }), /Path matched nothing/);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Schema Migrations
+ * Tests file naming, ordering, pending detection and the startup check
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import {
+  MIGRATIONS_DIR, parseMigrationName, listMigrations, pendingMigrations,
+  buildMigrationSql, assertSchemaCurrent
+} from '../server/lib/migrations.js';
+
+const migrations = [
+  { version: '001', name: 'core_tables', file: '001_core_tables.sql' },
+  { version: '002', name: 'monitoring_state', file: '002_monitoring_state.sql' }
+];
+
+describe('parseMigrationName', () => {
+  it('should split version and name', () => {
+    assert.deepStrictEqual(parseMigrationName('001_core_tables.sql'), migrations[0]);
+  });
+
+  it('should reject other file names', () => {
+    assert.strictEqual(parseMigrationName('1_core.sql'), null);
+    assert.strictEqual(parseMigrationName('001-core.sql'), null);
+    assert.strictEqual(parseMigrationName("001_x'; DROP TABLE sentinels.sql"), null);
+  });
+});
+
+describe('migrations directory', () => {
+  const files = listMigrations();
+
+  it('should list every migration in order with contiguous versions', () => {
+    assert.ok(files.length > 0);
+    files.forEach((migration, index) => {
+      assert.strictEqual(Number(migration.version), index + 1);
+    });
+  });
+
+  it('should define the tables and columns the app uses', () => {
+    const sql = files.map(migration => fs.readFileSync(join(MIGRATIONS_DIR, migration.file), 'utf8')).join('\n');
+    const expected = [
+      'sentinels', 'watch_targets', 'signals', 'target_snapshots', 'domain_profiles',
+      'monitoring_enabled', 'monitoring_last_run', 'snapshot_retention', 'alert_mode',
+      'exclude_selectors', 'target_type', 'json_conditions', 'seen_guids', 'etag',
+      'last_modified', 'last_content_length', 'blocked_reason', 'item_published_at',
+      'signal_audit', 'status', 'assignee', 'notes'
+    ];
+    for (const name of expected) {
+      assert.match(sql, new RegExp(`\\b${name}\\b`), `${name} is not defined by any migration`);
+    }
+  });
+
+  it('should cascade target deletes to signals and snapshots', () => {
+    const sql = files.map(migration => fs.readFileSync(join(MIGRATIONS_DIR, migration.file), 'utf8')).join('\n');
+    const cascades = sql.match(/target_id UUID NOT NULL REFERENCES watch_targets\(id\) ON DELETE CASCADE/g);
+    assert.strictEqual(cascades.length, 2);
+  });
+});
+
+describe('listMigrations', () => {
+  it('should reject misnamed files and duplicate versions', () => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'sentinel-migrations-'));
+    try {
+      fs.writeFileSync(join(dir, '001_a.sql'), '');
+      fs.writeFileSync(join(dir, '001_b.sql'), '');
+      assert.throws(() => listMigrations(dir), /Duplicate migration version 001/);
+
+      fs.rmSync(join(dir, '001_b.sql'));
+      fs.writeFileSync(join(dir, 'notes.sql'), '');
+      assert.throws(() => listMigrations(dir), /Invalid migration file name "notes.sql"/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('pendingMigrations', () => {
+  it('should return migrations missing from schema_migrations', () => {
+    assert.deepStrictEqual(pendingMigrations(migrations, []), migrations);
+    assert.deepStrictEqual(pendingMigrations(migrations, ['001']), [migrations[1]]);
+    assert.deepStrictEqual(pendingMigrations(migrations, ['001', '002']), []);
+  });
+});
+
+describe('buildMigrationSql', () => {
+  it('should apply and record the migration in one transaction', () => {
+    const sql = buildMigrationSql(migrations[1], 'ALTER TABLE sentinels ADD COLUMN x TEXT;\n');
+    assert.strictEqual(sql, [
+      'BEGIN;',
+      'ALTER TABLE sentinels ADD COLUMN x TEXT;',
+      "INSERT INTO schema_migrations (version, name) VALUES ('002', 'monitoring_state');",
+      'COMMIT;'
+    ].join('\n'));
+  });
+});
+
+describe('assertSchemaCurrent', () => {
+  it('should pass when every migration is applied', () => {
+    assert.doesNotThrow(() => assertSchemaCurrent(['001', '002'], migrations));
+  });
+
+  it('should name the pending migrations when the schema is behind', () => {
+    assert.throws(
+      () => assertSchemaCurrent(['001'], migrations),
+      /Database schema is behind: 1 pending migration\(s\) \(002_monitoring_state\.sql\)/
+    );
+  });
+});
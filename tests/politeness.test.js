@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for Host Politeness
+ * Tests the shared per-host request schedule
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { reserveSlot, claimSlot, setCrawlDelay } from '../server/lib/politeness.js';
+
+// HOST_MIN_DELAY defaults to 1000 ms; each test uses its own host
+describe('reserveSlot', () => {
+  it('should let the first request to a host go immediately', () => {
+    assert.strictEqual(reserveSlot('first.example', 0, 10000), 0);
+  });
+
+  it('should space out requests to the same host', () => {
+    assert.strictEqual(reserveSlot('busy.example', 0, 10000), 0);
+    assert.strictEqual(reserveSlot('busy.example', 0, 10000), 1000);
+    assert.strictEqual(reserveSlot('busy.example', 0, 10200), 1800);
+  });
+
+  it('should not delay requests to different hosts', () => {
+    assert.strictEqual(reserveSlot('a.example', 0, 10000), 0);
+    assert.strictEqual(reserveSlot('b.example', 0, 10000), 0);
+  });
+
+  it('should not wait once the delay has passed', () => {
+    reserveSlot('idle.example', 0, 10000);
+    assert.strictEqual(reserveSlot('idle.example', 0, 20000), 0);
+  });
+
+  it('should use a longer profile delay', () => {
+    reserveSlot('slow.example', 5000, 10000);
+    assert.strictEqual(reserveSlot('slow.example', 5000, 10000), 5000);
+  });
+
+  it('should honour the robots.txt crawl delay', () => {
+    setCrawlDelay('crawl.example', 3000);
+    reserveSlot('crawl.example', 0, 10000);
+    assert.strictEqual(reserveSlot('crawl.example', 0, 10000), 3000);
+    setCrawlDelay('crawl.example', null);
+    assert.strictEqual(reserveSlot('crawl.example', 0, 13000), 1000);
+  });
+
+  it('should refuse to queue beyond the maximum wait', () => {
+    for (let i = 0; i <= 60; i++) reserveSlot('queued.example', 0, 10000);
+    assert.throws(() => reserveSlot('queued.example', 0, 10000), /is busy/);
+  });
+});
+
+describe('claimSlot', () => {
+  it('should take a free slot', () => {
+    assert.strictEqual(claimSlot('claim.example', 0, 10000), 0);
+    assert.strictEqual(reserveSlot('claim.example', 0, 10000), 1000);
+  });
+
+  it('should report the wait without reserving a busy slot', () => {
+    reserveSlot('claim-busy.example', 0, 10000);
+    assert.strictEqual(claimSlot('claim-busy.example', 0, 10400), 600);
+    assert.strictEqual(claimSlot('claim-busy.example', 0, 10400), 600);
+    assert.strictEqual(claimSlot('claim-busy.example', 0, 11000), 0);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Worker Pool
+ * Tests bounded concurrency and fair per-user queuing
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createWorkerPool } from '../server/lib/pool.js';
+
+// Task that resolves on the next macrotask and records start order
+function makeTask(log, label, tracker) {
+  return async () => {
+    tracker.running++;
+    tracker.peak = Math.max(tracker.peak, tracker.running);
+    log.push(label);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    tracker.running--;
+    return label;
+  };
+}
+
+describe('createWorkerPool - Concurrency', () => {
+  it('should never run more than the concurrency limit', async () => {
+    const pool = createWorkerPool(2);
+    const log = [];
+    const tracker = { running: 0, peak: 0 };
+
+    await Promise.all(
+      Array.from({ length: 6 }, (_, i) => pool.run('user-a', makeTask(log, `a${i}`, tracker)))
+    );
+
+    assert.strictEqual(tracker.peak, 2);
+    assert.strictEqual(log.length, 6);
+  });
+
+  it('should resolve with the task result', async () => {
+    const pool = createWorkerPool(1);
+    const result = await pool.run('user-a', async () => 42);
+    assert.strictEqual(result, 42);
+  });
+
+  it('should reject when the task throws and keep draining', async () => {
+    const pool = createWorkerPool(1);
+    const failing = pool.run('user-a', async () => { throw new Error('boom'); });
+    const next = pool.run('user-a', async () => 'ok');
+
+    await assert.rejects(failing, { message: 'boom' });
+    assert.strictEqual(await next, 'ok');
+  });
+});
+
+describe('createWorkerPool - Fairness', () => {
+  it('should alternate between users instead of draining one queue first', async () => {
+    const pool = createWorkerPool(1);
+    const log = [];
+    const tracker = { running: 0, peak: 0 };
+
+    const jobs = [
+      ...['a0', 'a1', 'a2'].map(label => pool.run('user-a', makeTask(log, label, tracker))),
+      ...['b0', 'b1'].map(label => pool.run('user-b', makeTask(log, label, tracker)))
+    ];
+    await Promise.all(jobs);
+
+    assert.deepStrictEqual(log, ['a0', 'a1', 'b0', 'a2', 'b1']);
+  });
+
+  it('should report queued jobs per key', () => {
+    const pool = createWorkerPool(1);
+    const never = () => new Promise(() => {});
+
+    pool.run('user-a', never);
+    pool.run('user-a', never);
+    pool.run('user-b', never);
+
+    assert.deepStrictEqual(pool.stats(), { active: 1, queued: 2, concurrency: 1 });
+    assert.strictEqual(pool.stats('user-a').queued, 1);
+  });
+});
+
+describe('createWorkerPool - Gated jobs', () => {
+  it('should not hold a worker for a job whose gate is closed', async () => {
+    const pool = createWorkerPool(1);
+    const log = [];
+    const openAt = Date.now() + 30;
+    const claim = () => Math.max(0, openAt - Date.now());
+
+    const gated = pool.run('user-a', async () => log.push('gated'), { claim });
+    const other = pool.run('user-b', async () => log.push('other'));
+
+    await Promise.all([gated, other]);
+    assert.deepStrictEqual(log, ['other', 'gated']);
+  });
+
+  it('should start ready jobs from the same queue past a gated one', async () => {
+    const pool = createWorkerPool(1);
+    const log = [];
+    const openAt = Date.now() + 30;
+
+    await Promise.all([
+      pool.run('user-a', async () => log.push('slow host'), { claim: () => Math.max(0, openAt - Date.now()) }),
+      pool.run('user-a', async () => log.push('free host'))
+    ]);
+    assert.deepStrictEqual(log, ['free host', 'slow host']);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for Domain Profiles
+ * Tests pattern matching, precedence and built-in overrides
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { matchesPattern, findProfile, listProfiles, setCustomProfiles } from '../server/lib/profiles.js';
+
+describe('matchesPattern', () => {
+  it('should match the host and its subdomains', () => {
+    assert.strictEqual(matchesPattern('ptt.cc', 'ptt.cc'), true);
+    assert.strictEqual(matchesPattern('www.ptt.cc', 'ptt.cc'), true);
+  });
+
+  it('should not match hosts that merely end with the same letters', () => {
+    assert.strictEqual(matchesPattern('notptt.cc', 'ptt.cc'), false);
+  });
+
+  it('should match only subdomains with a wildcard', () => {
+    assert.strictEqual(matchesPattern('news.example.com', '*.example.com'), true);
+    assert.strictEqual(matchesPattern('example.com', '*.example.com'), false);
+  });
+});
+
+describe('findProfile', () => {
+  afterEach(() => setCustomProfiles([]));
+
+  it('should apply the built-in PTT profile', () => {
+    const profile = findProfile('https://www.ptt.cc/bbs/Gossiping/index.html');
+    assert.strictEqual(profile.id, 'builtin-ptt');
+    assert.deepStrictEqual(profile.cookies, { over18: '1' });
+  });
+
+  it('should return null for hosts without a profile', () => {
+    assert.strictEqual(findProfile('https://example.com/'), null);
+    assert.strictEqual(findProfile('not a url'), null);
+  });
+
+  it('should prefer the most specific pattern', () => {
+    setCustomProfiles([
+      { id: 'a', pattern: 'example.com', min_delay_ms: 1000 },
+      { id: 'b', pattern: 'news.example.com', user_agent: 'NewsBot' }
+    ]);
+    assert.strictEqual(findProfile('https://news.example.com/').id, 'b');
+    assert.strictEqual(findProfile('https://shop.example.com/').id, 'a');
+  });
+
+  it('should fill in defaults for missing fields', () => {
+    setCustomProfiles([{ id: 'a', pattern: 'Example.com' }]);
+    const profile = findProfile('https://example.com/');
+    assert.deepStrictEqual(profile.headers, {});
+    assert.deepStrictEqual(profile.exclude_selectors, []);
+    assert.strictEqual(profile.min_delay_ms, 0);
+    assert.strictEqual(profile.builtin, false);
+  });
+
+  it('should let a custom profile override a built-in one', () => {
+    setCustomProfiles([{ id: 'custom-ptt', pattern: 'ptt.cc', cookies: { over18: '1', lang: 'zh' } }]);
+    assert.strictEqual(findProfile('https://www.ptt.cc/').id, 'custom-ptt');
+    assert.strictEqual(listProfiles().filter(profile => profile.pattern === 'ptt.cc').length, 1);
+  });
+
+  it('should restore the built-in profile when the override is removed', () => {
+    setCustomProfiles([{ id: 'custom-ptt', pattern: 'ptt.cc' }]);
+    setCustomProfiles([]);
+    assert.strictEqual(findProfile('https://www.ptt.cc/').id, 'builtin-ptt');
+  });
+});
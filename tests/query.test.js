@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Keyword Query Language
+ * Tests parsing, evaluation and term positions
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseQuery, compileKeyword, validateQuery } from '../server/lib/query.js';
+
+const matches = (query, text) => compileKeyword(query).test(text);
+
+// ============================================
+// Legacy Keywords
+// ============================================
+
+describe('compileKeyword - Plain Keywords', () => {
+  it('should match a plain keyword as a case-insensitive substring', () => {
+    assert.strictEqual(matches('AI', 'new ai model'), true);
+    assert.strictEqual(matches('artificial', 'The artificial intelligence'), true);
+  });
+
+  it('should treat space-separated words as one phrase', () => {
+    assert.strictEqual(matches('machine learning', 'about machine learning today'), true);
+    assert.strictEqual(matches('machine learning', 'learning about the machine'), false);
+  });
+
+  it('should match CJK keywords', () => {
+    assert.strictEqual(matches('生存者', '北區發現生存者'), true);
+  });
+
+  it('should fall back to a substring for keywords that do not parse', () => {
+    assert.strictEqual(matches('GPT (beta', 'try GPT (beta now'), true);
+  });
+});
+
+// ============================================
+// Boolean Operators
+// ============================================
+
+describe('compileKeyword - Boolean Operators', () => {
+  const query = 'layoff AND (Google OR Meta) NOT rumor';
+
+  it('should require every AND term', () => {
+    assert.strictEqual(matches(query, 'Google announces layoff'), true);
+    assert.strictEqual(matches(query, 'Google announces hiring'), false);
+  });
+
+  it('should accept either OR branch', () => {
+    assert.strictEqual(matches(query, 'Meta layoff confirmed'), true);
+    assert.strictEqual(matches(query, 'Apple layoff confirmed'), false);
+  });
+
+  it('should reject text containing a NOT term', () => {
+    assert.strictEqual(matches(query, 'Meta layoff rumor denied'), false);
+  });
+
+  it('should treat adjacent terms as AND', () => {
+    assert.strictEqual(matches('"big tech" (layoff)', 'big tech layoff wave'), true);
+    assert.strictEqual(matches('"big tech" (layoff)', 'big tech hiring wave'), false);
+  });
+
+  it('should keep lowercase operators as literal words', () => {
+    assert.strictEqual(matches('rock and roll', 'rock and roll forever'), true);
+    assert.strictEqual(matches('rock and roll', 'rock music'), false);
+  });
+});
+
+// ============================================
+// Phrases, Word Boundaries and Regex
+// ============================================
+
+describe('compileKeyword - Term Types', () => {
+  it('should match quoted phrases', () => {
+    assert.strictEqual(matches('"supply drop" OR airdrop', 'Supply Drop at dawn'), true);
+  });
+
+  it('should match whole words only with =', () => {
+    assert.strictEqual(matches('=AI', 'new AI model'), true);
+    assert.strictEqual(matches('=AI', 'rain and daily paint'), false);
+    assert.strictEqual(matches('="open source"', 'open source tools'), true);
+    assert.strictEqual(matches('="open source"', 'reopen sources'), false);
+  });
+
+  it('should match regular expressions', () => {
+    assert.strictEqual(matches('/lay-?offs?/i', 'Mass LAYOFFS announced'), true);
+    assert.strictEqual(matches('/^\\d{3}$/', 'abc'), false);
+  });
+
+  it('should allow slashes inside regex character classes', () => {
+    assert.strictEqual(matches('/a[/]b/', 'a/b'), true);
+  });
+
+  it('should abort a catastrophic regex with an error', () => {
+    const matcher = compileKeyword('/(a+)+$/');
+    assert.throws(() => matcher.test('a'.repeat(40) + 'b'), /Regex timed out/);
+  });
+});
+
+// ============================================
+// Term Positions
+// ============================================
+
+describe('compileKeyword - Hits', () => {
+  it('should return positions of every non-negated term', () => {
+    const hits = compileKeyword('layoff AND Google NOT rumor').hits('Google: layoff, no rumor', 10);
+    assert.deepStrictEqual(hits, [
+      { index: 0, length: 6 },
+      { index: 8, length: 6 }
+    ]);
+  });
+
+  it('should cap hits per term', () => {
+    const hits = compileKeyword('ai').hits('ai ai ai ai ai', 3);
+    assert.strictEqual(hits.length, 3);
+  });
+
+  it('should return regex match lengths', () => {
+    const hits = compileKeyword('/lay-?offs?/i').hits('the lay-offs began', 10);
+    assert.deepStrictEqual(hits, [{ index: 4, length: 8 }]);
+  });
+});
+
+// ============================================
+// Validation
+// ============================================
+
+describe('validateQuery - Syntax Errors', () => {
+  it('should accept valid queries', () => {
+    assert.doesNotThrow(() => validateQuery('layoff AND (Google OR Meta) NOT rumor'));
+    assert.doesNotThrow(() => validateQuery('=AI OR /gpt-?\\d/i'));
+  });
+
+  it('should reject unbalanced parentheses', () => {
+    assert.throws(() => validateQuery('(Google OR Meta'), /Missing closing parenthesis/);
+    assert.throws(() => validateQuery('Google)'), /Unexpected "\)"/);
+  });
+
+  it('should reject dangling operators', () => {
+    assert.throws(() => validateQuery('Google AND'), /Unexpected end of query/);
+    assert.throws(() => validateQuery('OR Google'), /Unexpected OR/);
+  });
+
+  it('should reject unterminated phrases and regexes', () => {
+    assert.throws(() => validateQuery('"supply drop'), /Unterminated quoted phrase/);
+    assert.throws(() => validateQuery('/abc'), /Unterminated regular expression/);
+  });
+
+  it('should reject invalid regex patterns and flags', () => {
+    assert.throws(() => validateQuery('/(abc/'), /Invalid regular expression/);
+    assert.throws(() => validateQuery('/abc/g'), /Unsupported regex flags/);
+  });
+
+  it('should reject queries with only negated terms', () => {
+    assert.throws(() => validateQuery('NOT rumor'), /not negated/);
+  });
+
+  it('should reject excessive nesting', () => {
+    assert.throws(() => parseQuery('('.repeat(11) + 'a' + ')'.repeat(11)), /nesting/);
+  });
+});
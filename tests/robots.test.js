@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for robots.txt Compliance
+ * Tests parsing, User-Agent tokens, group selection and rule precedence
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseRobots, productTokens, selectGroup, findRule } from '../server/lib/robots.js';
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: LastSentinel
+User-agent: OtherBot
+Disallow: /no-sentinels/
+Disallow:
+
+User-agent: BadBot
+Disallow: /
+`;
+
+const isAllowed = (path, token) => {
+  const rule = findRule(selectGroup(parseRobots(ROBOTS), token).rules, path);
+  return !rule || rule.allow;
+};
+
+describe('parseRobots', () => {
+  it('should group consecutive User-agent lines', () => {
+    const groups = parseRobots(ROBOTS);
+    assert.strictEqual(groups.length, 3);
+    assert.deepStrictEqual(groups[1].agents, ['lastsentinel', 'otherbot']);
+  });
+
+  it('should skip empty Disallow lines and comments', () => {
+    const groups = parseRobots(ROBOTS);
+    assert.deepStrictEqual(groups[1].rules, [{ allow: false, path: '/no-sentinels/' }]);
+  });
+
+  it('should read Crawl-delay', () => {
+    assert.strictEqual(parseRobots(ROBOTS)[0].crawlDelay, 2);
+  });
+
+  it('should ignore rules before any User-agent line', () => {
+    assert.deepStrictEqual(parseRobots('Disallow: /\nSitemap: /map.xml'), []);
+  });
+});
+
+describe('productTokens', () => {
+  it('should read every product token of a User-Agent', () => {
+    assert.deepStrictEqual(productTokens('Mozilla/5.0 (compatible; LastSentinel/1.0)'), ['mozilla', 'lastsentinel']);
+    assert.deepStrictEqual(
+      productTokens('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'),
+      ['mozilla', 'applewebkit', 'chrome', 'safari']
+    );
+  });
+
+  it('should accept a bare product token', () => {
+    assert.deepStrictEqual(productTokens('LastSentinel'), ['lastsentinel']);
+  });
+});
+
+describe('selectGroup', () => {
+  it('should match groups against the User-Agent actually sent', () => {
+    const groups = parseRobots(ROBOTS);
+    assert.strictEqual(selectGroup(groups, 'Mozilla/5.0 (compatible; LastSentinel/1.0)').rules.length, 1);
+    assert.strictEqual(selectGroup(groups, 'Mozilla/5.0 AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36').rules.length, 3);
+  });
+
+
+  it('should prefer the group naming our product token', () => {
+    const { rules, crawlDelay } = selectGroup(parseRobots(ROBOTS), 'lastsentinel');
+    assert.strictEqual(rules.length, 1);
+    assert.strictEqual(crawlDelay, null);
+  });
+
+  it('should fall back to the * group', () => {
+    const { rules, crawlDelay } = selectGroup(parseRobots(ROBOTS), 'unknownbot');
+    assert.strictEqual(rules.length, 3);
+    assert.strictEqual(crawlDelay, 2);
+  });
+});
+
+describe('findRule', () => {
+  it('should allow paths without a matching rule', () => {
+    assert.strictEqual(isAllowed('/news', 'unknownbot'), true);
+  });
+
+  it('should disallow matching prefixes', () => {
+    assert.strictEqual(isAllowed('/private/data', 'unknownbot'), false);
+    assert.strictEqual(isAllowed('/privateer', 'unknownbot'), false);
+  });
+
+  it('should let the longest matching rule win', () => {
+    assert.strictEqual(isAllowed('/private/public/page', 'unknownbot'), true);
+  });
+
+  it('should support wildcards and end anchors', () => {
+    assert.strictEqual(isAllowed('/files/report.pdf', 'unknownbot'), false);
+    assert.strictEqual(isAllowed('/files/report.pdf?download=1', 'unknownbot'), true);
+  });
+
+  it('should prefer Allow when rules are equally long', () => {
+    const rules = [{ allow: false, path: '/page' }, { allow: true, path: '/page' }];
+    assert.strictEqual(findRule(rules, '/page').allow, true);
+  });
+
+  it('should block everything for a disallowed agent', () => {
+    assert.strictEqual(isAllowed('/', 'badbot'), false);
+  });
+
+  it('should always allow robots.txt itself', () => {
+    assert.strictEqual(isAllowed('/robots.txt', 'badbot'), true);
+  });
+});
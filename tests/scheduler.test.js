@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for Scheduler Module
+ * Tests per-target due time calculation
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getIntervalMs, getJitterMs, getNextDueTime, getDueTargets } from '../server/lib/scheduler.js';
+
+const NOW = Date.parse('2025-12-20T12:00:00.000Z');
+
+function makeTarget(overrides = {}) {
+  return {
+    id: 'target-1',
+    check_interval: 60,
+    last_check: null,
+    ...overrides
+  };
+}
+
+// ============================================
+// getIntervalMs - Interval Resolution Tests
+// ============================================
+
+describe('getIntervalMs - Interval Resolution', () => {
+  it('should convert check_interval seconds to ms', () => {
+    assert.strictEqual(getIntervalMs(makeTarget({ check_interval: 3600 })), 3600000);
+  });
+
+  it('should enforce the 60 second minimum', () => {
+    assert.strictEqual(getIntervalMs(makeTarget({ check_interval: 5 })), 60000);
+  });
+
+  it('should fall back to the default interval when unset', () => {
+    assert.strictEqual(getIntervalMs(makeTarget({ check_interval: null })), 60000);
+  });
+});
+
+// ============================================
+// getJitterMs - Jitter Tests
+// ============================================
+
+describe('getJitterMs - Jitter', () => {
+  it('should stay within ±10% of the interval', () => {
+    for (let i = 0; i < 50; i++) {
+      const jitter = getJitterMs(makeTarget({ id: `target-${i}` }), 60000);
+      assert.ok(Math.abs(jitter) <= 6000, `Jitter out of range: ${jitter}`);
+    }
+  });
+
+  it('should be stable for the same target and last check', () => {
+    const target = makeTarget({ last_check: new Date(NOW).toISOString() });
+    assert.strictEqual(getJitterMs(target, 60000), getJitterMs(target, 60000));
+  });
+
+  it('should spread different targets apart', () => {
+    const jitters = new Set();
+    for (let i = 0; i < 10; i++) {
+      jitters.add(getJitterMs(makeTarget({ id: `target-${i}` }), 60000));
+    }
+    assert.ok(jitters.size > 1, 'Should produce varied jitter');
+  });
+});
+
+// ============================================
+// getNextDueTime / getDueTargets - Scheduling Tests
+// ============================================
+
+describe('getNextDueTime - Due Time Calculation', () => {
+  it('should be due immediately when never checked', () => {
+    assert.strictEqual(getNextDueTime(makeTarget()), 0);
+  });
+
+  it('should schedule one interval (± jitter) after last_check', () => {
+    const target = makeTarget({ check_interval: 3600, last_check: new Date(NOW).toISOString() });
+    const dueAt = getNextDueTime(target);
+    assert.ok(dueAt >= NOW + 3600000 * 0.9 && dueAt <= NOW + 3600000 * 1.1);
+  });
+
+  it('should prefer a more recent in-memory attempt', () => {
+    const target = makeTarget({ last_check: new Date(NOW - 600000).toISOString() });
+    assert.ok(getNextDueTime(target, NOW) > NOW);
+  });
+});
+
+describe('getDueTargets - Due Target Selection', () => {
+  it('should return only targets that are due', () => {
+    const fast = makeTarget({ id: 'fast', check_interval: 60, last_check: new Date(NOW - 120000).toISOString() });
+    const daily = makeTarget({ id: 'daily', check_interval: 86400, last_check: new Date(NOW - 120000).toISOString() });
+    const due = getDueTargets([fast, daily], new Map(), NOW);
+    assert.deepStrictEqual(due.map(t => t.id), ['fast']);
+  });
+
+  it('should order the most overdue targets first', () => {
+    const recent = makeTarget({ id: 'recent', last_check: new Date(NOW - 120000).toISOString() });
+    const never = makeTarget({ id: 'never' });
+    const due = getDueTargets([recent, never], new Map(), NOW);
+    assert.deepStrictEqual(due.map(t => t.id), ['never', 'recent']);
+  });
+
+  it('should skip targets attempted recently even if the check failed', () => {
+    const target = makeTarget({ id: 'flaky' });
+    const due = getDueTargets([target], new Map([['flaky', NOW - 1000]]), NOW);
+    assert.deepStrictEqual(due, []);
+  });
+});
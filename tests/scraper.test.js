@@ -7,7 +7,10 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { validateUrl, generateNoise } from '../server/lib/scraper.js';
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { validateUrl, resolveRedirect, readBody, detectCharset, decodeBody, generateNoise, findNewOccurrences, extractText, validateSelector } from '../server/lib/scraper.js';
+import { parseIpv4, isBlockedAddress, safeLookup, guardedAgent } from '../server/lib/netguard.js';
 
 // ============================================
 // validateUrl - SSRF Protection Tests
@@ -168,6 +171,209 @@ describe('validateUrl - SSRF Protection', () => {
       });
     });
   });
+
+  // Alternative address notations
+  describe('Alternative IP Forms', () => {
+    it('should block decimal, octal and hex IPv4 forms', () => {
+      assert.throws(() => validateUrl('http://2130706433'), /not allowed/);
+      assert.throws(() => validateUrl('http://0177.0.0.1'), /not allowed/);
+      assert.throws(() => validateUrl('http://0xa.1'), {
+        message: 'Access to private IP range (10.x.x.x) is not allowed'
+      });
+    });
+
+    it('should block private IPv6 literals', () => {
+      assert.throws(() => validateUrl('http://[fd00::1]'), {
+        message: 'Access to reserved IP address is not allowed'
+      });
+      assert.throws(() => validateUrl('http://[fe80::1]'), {
+        message: 'Access to reserved IP address is not allowed'
+      });
+    });
+
+    it('should block IPv4-mapped IPv6 literals', () => {
+      assert.throws(() => validateUrl('http://[::ffff:169.254.169.254]'), {
+        message: 'Access to reserved IP address is not allowed'
+      });
+    });
+
+    it('should block other reserved IPv4 ranges', () => {
+      assert.throws(() => validateUrl('http://100.64.0.1'), {
+        message: 'Access to reserved IP address is not allowed'
+      });
+    });
+
+    it('should accept public IP literals', () => {
+      assert.strictEqual(validateUrl('http://93.184.216.34/'), 'http://93.184.216.34/');
+      assert.strictEqual(validateUrl('http://[2606:4700::1111]/'), 'http://[2606:4700::1111]/');
+    });
+  });
+});
+
+// ============================================
+// resolveRedirect - Redirect Hop Validation
+// ============================================
+
+describe('resolveRedirect', () => {
+  it('should resolve relative locations against the current URL', () => {
+    assert.strictEqual(resolveRedirect('/next?page=2', 'https://example.com/a/b'), 'https://example.com/next?page=2');
+    assert.strictEqual(resolveRedirect('c', 'https://example.com/a/b'), 'https://example.com/a/c');
+  });
+
+  it('should accept absolute public locations', () => {
+    assert.strictEqual(resolveRedirect('https://www.example.org/', 'https://example.com/'), 'https://www.example.org/');
+  });
+
+  it('should block redirects to internal addresses', () => {
+    assert.throws(() => resolveRedirect('http://127.0.0.1/admin', 'https://example.com/'),
+      /Redirect to http:\/\/127\.0\.0\.1\/admin blocked: Access to localhost is not allowed/);
+    assert.throws(() => resolveRedirect('http://169.254.169.254/latest/', 'https://example.com/'), /blocked/);
+    assert.throws(() => resolveRedirect('//[::ffff:10.0.0.1]/', 'https://example.com/'), /blocked/);
+  });
+
+  it('should block redirects to other protocols', () => {
+    assert.throws(() => resolveRedirect('file:///etc/passwd', 'https://example.com/'),
+      /Only HTTP\/HTTPS protocols allowed/);
+  });
+
+  it('should reject a missing Location header', () => {
+    assert.throws(() => resolveRedirect(null, 'https://example.com/'), /without Location/);
+  });
+});
+
+// ============================================
+// readBody / decodeBody - Body Size Cap and Charsets
+// ============================================
+
+describe('readBody - Size Cap', () => {
+  it('should concatenate chunks under the limit', async () => {
+    const body = await readBody(Readable.from([Buffer.from('abc'), Buffer.from('def')]), 10);
+    assert.strictEqual(body.toString(), 'abcdef');
+  });
+
+  it('should abort once the limit is exceeded', async () => {
+    let pulled = 0;
+    async function* chunks() {
+      for (let i = 0; i < 100; i++) {
+        pulled++;
+        yield Buffer.alloc(100);
+      }
+    }
+    await assert.rejects(readBody(Readable.from(chunks()), 250), { message: 'Content too large' });
+    assert.ok(pulled < 100, 'should stop reading mid-stream');
+  });
+});
+
+describe('detectCharset / decodeBody - Charsets', () => {
+  // "中文" in each encoding
+  const BIG5 = Buffer.from([0xa4, 0xa4, 0xa4, 0xe5]);
+  const GBK = Buffer.from([0xd6, 0xd0, 0xce, 0xc4]);
+
+  it('should default to UTF-8', () => {
+    assert.strictEqual(detectCharset(Buffer.from('<p>hi</p>'), 'text/html'), 'utf-8');
+    assert.strictEqual(decodeBody(Buffer.from('中文'), null), '中文');
+  });
+
+  it('should use the Content-Type charset', () => {
+    assert.strictEqual(decodeBody(BIG5, 'text/html; charset=Big5'), '中文');
+    assert.strictEqual(decodeBody(GBK, 'text/html; charset="gbk"'), '中文');
+  });
+
+  it('should use <meta charset> when the header has none', () => {
+    const html = Buffer.concat([Buffer.from('<html><head><meta charset="big5"></head><body>'), BIG5]);
+    assert.strictEqual(detectCharset(html, 'text/html'), 'big5');
+    assert.ok(decodeBody(html, 'text/html').endsWith('<body>中文'));
+  });
+
+  it('should use <meta http-equiv> and the XML declaration', () => {
+    const html = Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=gb2312">');
+    assert.strictEqual(detectCharset(html, null), 'gb2312');
+    const xml = Buffer.from('<?xml version="1.0" encoding="Big5"?><rss></rss>');
+    assert.strictEqual(detectCharset(xml, 'application/xml'), 'big5');
+  });
+
+  it('should prefer a byte order mark over declarations', () => {
+    const body = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('中文')]);
+    assert.strictEqual(detectCharset(body, 'text/html; charset=big5'), 'utf-8');
+    assert.strictEqual(decodeBody(body, 'text/html; charset=big5'), '中文');
+  });
+
+  it('should fall back to UTF-8 for unknown encodings', () => {
+    assert.strictEqual(decodeBody(Buffer.from('hello'), 'text/html; charset=x-unknown'), 'hello');
+  });
+});
+
+// ============================================
+// Network Guard - Resolved Address Checks
+// ============================================
+
+describe('parseIpv4', () => {
+  it('should parse dotted, shortened and numeric forms', () => {
+    assert.strictEqual(parseIpv4('127.0.0.1'), 0x7f000001);
+    assert.strictEqual(parseIpv4('127.1'), 0x7f000001);
+    assert.strictEqual(parseIpv4('2130706433'), 0x7f000001);
+    assert.strictEqual(parseIpv4('0x7f.0.0.1'), 0x7f000001);
+    assert.strictEqual(parseIpv4('0177.0.0.01'), 0x7f000001);
+  });
+
+  it('should reject hostnames and out-of-range parts', () => {
+    assert.strictEqual(parseIpv4('example.com'), null);
+    assert.strictEqual(parseIpv4('256.0.0.1'), null);
+    assert.strictEqual(parseIpv4('1.2.3.4.5'), null);
+    assert.strictEqual(parseIpv4('08.0.0.1'), null);
+  });
+});
+
+describe('isBlockedAddress', () => {
+  it('should block private and reserved IPv4 ranges', () => {
+    for (const address of ['10.0.0.5', '169.254.169.254', '172.20.1.1', '192.168.0.1',
+      '100.100.100.100', '0.1.2.3', '198.18.0.1', '224.0.0.1', '255.255.255.255']) {
+      assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('should allow public IPv4 addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '93.184.216.34']) {
+      assert.strictEqual(isBlockedAddress(address), false, address);
+    }
+  });
+
+  it('should block private and special IPv6 ranges', () => {
+    for (const address of ['::', '::1', 'fc00::1', 'fdab::1', 'fe80::1%eth0', 'ff02::1', '2001:db8::1']) {
+      assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('should check the IPv4 address embedded in IPv6', () => {
+    assert.strictEqual(isBlockedAddress('::ffff:127.0.0.1'), true);
+    assert.strictEqual(isBlockedAddress('::ffff:a9fe:a9fe'), true);
+    assert.strictEqual(isBlockedAddress('64:ff9b::10.0.0.1'), true);
+    assert.strictEqual(isBlockedAddress('2002:c0a8:0101::1'), true);
+    assert.strictEqual(isBlockedAddress('::ffff:8.8.8.8'), false);
+  });
+
+  it('should allow public IPv6 addresses and ignore hostnames', () => {
+    assert.strictEqual(isBlockedAddress('2606:4700:4700::1111'), false);
+    assert.strictEqual(isBlockedAddress('example.com'), false);
+  });
+});
+
+describe('safeLookup', () => {
+  it('should reject names that resolve to blocked addresses', (_, done) => {
+    safeLookup('localhost', {}, (err) => {
+      assert.match(err.message, /resolves to a blocked address/);
+      done();
+    });
+  });
+
+  it('should refuse connections to blocked IP literals', (_, done) => {
+    const url = new URL('http://127.0.0.1:9/');
+    http.get(url, { agent: guardedAgent(url) })
+      .on('error', (err) => {
+        assert.match(err.message, /blocked address 127\.0\.0\.1/);
+        done();
+      });
+  });
 });
 
 // ============================================
@@ -284,3 +490,134 @@ describe('Keyword Matching Logic', () => {
     assert.deepStrictEqual(matches, ['人工智慧']);
   });
 });
+
+// ============================================
+// findNewOccurrences - New Occurrence Tests
+// ============================================
+
+describe('findNewOccurrences - New Occurrence Detection', () => {
+  const banner = 'Welcome to the AI portal, your daily source of news.';
+
+  it('should ignore keywords that only appear where they already did', () => {
+    const previous = `${banner} Weather is sunny today.`;
+    const current = `${banner} Weather is cloudy today. Visitors: 1234.`;
+    const result = findNewOccurrences(current, previous, ['AI']);
+    assert.deepStrictEqual(result.matches, []);
+    assert.strictEqual(result.content, '');
+  });
+
+  it('should report a keyword that shows up in new context', () => {
+    const previous = `${banner} Weather is sunny today.`;
+    const current = `${banner} Breaking: new AI model released for offline use.`;
+    const result = findNewOccurrences(current, previous, ['AI']);
+    assert.deepStrictEqual(result.matches, ['AI']);
+    assert.ok(result.content.includes('new AI model released'));
+  });
+
+  it('should not treat a moved occurrence as new', () => {
+    const story = 'Researchers unveil an AI that writes poetry in the dark.';
+    const previous = `Intro text here. ${story} Footer.`;
+    const current = `Completely different intro with extra words. ${story} Footer.`;
+    const result = findNewOccurrences(current, previous, ['AI']);
+    assert.deepStrictEqual(result.matches, []);
+  });
+
+  it('should only excerpt the new occurrences', () => {
+    const previous = `${banner}`;
+    const current = `${banner} ${'filler '.repeat(80)}Second AI story about robots.`;
+    const result = findNewOccurrences(current, previous, ['AI']);
+    assert.deepStrictEqual(result.matches, ['AI']);
+    assert.ok(!result.content.includes('Welcome to the AI portal'));
+  });
+
+  it('should treat every occurrence as new against empty previous text', () => {
+    const result = findNewOccurrences('生存者 在北區', '', ['生存者']);
+    assert.deepStrictEqual(result.matches, ['生存者']);
+  });
+});
+
+// ============================================
+// extractText - Selector Scoping Tests
+// ============================================
+
+describe('extractText - Selector Scoping', () => {
+  const html = `
+    <html><body>
+      <header>Site Header</header>
+      <div id="main"><p>Survivors found near the river.</p><span class="views">1234 views</span></div>
+      <div class="ad">Buy canned food now</div>
+      <div id="other">Unrelated sidebar text</div>
+      <script>var x = 1;</script>
+    </body></html>`;
+
+  it('should extract the whole body without scoping', () => {
+    const text = extractText(html);
+    assert.ok(text.includes('Survivors found near the river.'));
+    assert.ok(text.includes('Unrelated sidebar text'));
+  });
+
+  it('should always strip the default elements', () => {
+    const text = extractText(html);
+    assert.ok(!text.includes('Site Header'));
+    assert.ok(!text.includes('Buy canned food'));
+    assert.ok(!text.includes('var x'));
+  });
+
+  it('should only read text inside the include selector', () => {
+    const text = extractText(html, { includeSelector: '#main' });
+    assert.strictEqual(text, 'Survivors found near the river.1234 views');
+  });
+
+  it('should remove exclude selectors', () => {
+    const text = extractText(html, { includeSelector: '#main', excludeSelectors: ['.views'] });
+    assert.strictEqual(text, 'Survivors found near the river.');
+  });
+
+  it('should join multiple matches of the include selector', () => {
+    const text = extractText(html, { includeSelector: '#main p, #other' });
+    assert.strictEqual(text, 'Survivors found near the river. Unrelated sidebar text');
+  });
+
+  it('should throw when the include selector matches nothing', () => {
+    assert.throws(() => extractText(html, { includeSelector: '#missing' }), /matched nothing/);
+  });
+
+  it('should read an include selector inside a default-stripped region', () => {
+    const page = `
+      <html><body>
+        <header><div id="alert">Evacuation at noon<script>var y = 2;</script></div><nav>Home</nav></header>
+        <aside class="sidebar"><ul id="status"><li>Bridge open</li></ul></aside>
+        <main>Article</main>
+      </body></html>`;
+
+    assert.strictEqual(extractText(page, { includeSelector: '#alert' }), 'Evacuation at noon');
+    assert.strictEqual(extractText(page, { includeSelector: 'header' }), 'Evacuation at noon');
+    assert.strictEqual(extractText(page, { includeSelector: '#status' }), 'Bridge open');
+  });
+});
+
+// ============================================
+// validateSelector - Selector Validation Tests
+// ============================================
+
+describe('validateSelector - Selector Validation', () => {
+  it('should accept common selectors', () => {
+    assert.doesNotThrow(() => validateSelector('#main-content'));
+    assert.doesNotThrow(() => validateSelector('article .post > p:first-child'));
+    assert.doesNotThrow(() => validateSelector('div[data-role="feed"]'));
+  });
+
+  it('should reject malformed selectors', () => {
+    assert.throws(() => validateSelector('a[href'), /Invalid selector/);
+    assert.throws(() => validateSelector('##main'), /Invalid selector/);
+  });
+
+  it('should reject empty or non-string selectors', () => {
+    assert.throws(() => validateSelector(''), /non-empty string/);
+    assert.throws(() => validateSelector(42), /non-empty string/);
+  });
+
+  it('should reject overly long selectors', () => {
+    assert.throws(() => validateSelector('.a'.repeat(150)), /less than 200/);
+  });
+});
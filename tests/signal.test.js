@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the Signal Engine Sessions
+ * Tests the persisted monitoring flag, staggered resume after a restart
+ * and background sync
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'sentinel-signal-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'file';
+process.env.BACKGROUND_MONITORING = 'true';
+process.env.RESUME_STAGGER = '1000';
+process.env.SCHEDULER_TICK = '3600000'; // No scan pass runs during these tests
+
+const { sentinels, targets } = await import('../server/lib/storage.js');
+const {
+  startMonitoring, stopMonitoring, getStatus, resumeMonitoring, startBackgroundMonitoring
+} = await import('../server/lib/signal.js');
+
+/**
+ * Let pending promise callbacks run (setImmediate is not mocked)
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Stop a session; stopping waits 100 ms for a running pass, so advance the clock
+ * @param {string} userId - User ID
+ */
+async function stop(userId) {
+  const stopping = stopMonitoring(userId, { persist: false });
+  await flush();
+  mock.timers.tick(100);
+  await stopping;
+}
+
+/**
+ * Whether each user has a running session
+ * @param {string[]} userIds - User IDs
+ * @returns {boolean[]}
+ */
+function active(userIds) {
+  return userIds.map(userId => getStatus(userId).isActive);
+}
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('monitoring flag', () => {
+  let setMonitoring;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    setMonitoring = mock.method(sentinels, 'setMonitoring', async () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('should save the flag when a sentinel starts and stops watching', async () => {
+    await startMonitoring('flag-user');
+    assert.deepStrictEqual(setMonitoring.mock.calls.map(call => call.arguments), [['flag-user', true]]);
+
+    const stopping = stopMonitoring('flag-user');
+    await flush();
+    mock.timers.tick(100);
+    await stopping;
+    assert.deepStrictEqual(setMonitoring.mock.calls[1].arguments, ['flag-user', false]);
+    assert.strictEqual(getStatus('flag-user').isActive, false);
+  });
+
+  it('should leave the flag alone when restoring a session', async () => {
+    await startMonitoring('restored-user', { persist: false });
+    assert.strictEqual(setMonitoring.mock.callCount(), 0);
+    await stop('restored-user');
+  });
+});
+
+describe('resume and background sync', () => {
+  const resumed = ['resume-1', 'resume-2', 'resume-3'];
+  let setMonitoring;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    setMonitoring = mock.method(sentinels, 'setMonitoring', async () => {});
+    mock.method(sentinels, 'updateMonitoringRun', async () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('should restore sessions one RESUME_STAGGER apart', async () => {
+    mock.method(sentinels, 'getIdsByMonitoring', async enabled => (enabled ? resumed : []));
+
+    assert.strictEqual(await resumeMonitoring(), 3);
+    assert.deepStrictEqual(active(resumed), [false, false, false]);
+
+    mock.timers.tick(0);
+    await flush();
+    assert.deepStrictEqual(active(resumed), [true, false, false]);
+
+    mock.timers.tick(1000);
+    await flush();
+    assert.deepStrictEqual(active(resumed), [true, true, false]);
+
+    mock.timers.tick(1000);
+    await flush();
+    assert.deepStrictEqual(active(resumed), [true, true, true]);
+
+    for (const userId of resumed) await stop(userId);
+  });
+
+  it('should skip stopped sentinels and leave pending restores to the stagger', async () => {
+    const pending = ['pending-1', 'pending-2'];
+    mock.method(sentinels, 'getIdsByMonitoring', async enabled => (enabled ? pending : ['stopped']));
+    mock.method(targets, 'getActiveUserIds', async () => ['fresh', 'stopped', ...pending]);
+
+    await resumeMonitoring();
+    await startBackgroundMonitoring();
+
+    // Never-started sentinels are picked up; stopped and pending ones are not
+    assert.deepStrictEqual(active(['fresh', 'stopped', ...pending]), [true, false, false, false]);
+    assert.deepStrictEqual(setMonitoring.mock.calls.map(call => call.arguments), [['fresh', true]]);
+
+    mock.timers.tick(0);
+    await flush();
+    assert.deepStrictEqual(active(pending), [true, false]);
+
+    mock.timers.tick(1000);
+    await flush();
+    assert.deepStrictEqual(active(pending), [true, true]);
+    assert.strictEqual(getStatus('stopped').isActive, false);
+
+    for (const userId of ['fresh', ...pending]) await stop(userId);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for Snapshot Helpers
+ * Tests compression round-trips and retention limits
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  compressText,
+  decompressText,
+  getRetention,
+  buildSnapshot,
+  expandSnapshot
+} from '../server/lib/snapshots.js';
+
+describe('compressText / decompressText - Round Trip', () => {
+  it('should restore the original text', () => {
+    const text = 'Breaking news: AI and GPT are revolutionizing technology';
+    assert.strictEqual(decompressText(compressText(text)), text);
+  });
+
+  it('should preserve Chinese text', () => {
+    const text = '這是一則關於人工智慧的新聞';
+    assert.strictEqual(decompressText(compressText(text)), text);
+  });
+
+  it('should shrink repetitive page text', () => {
+    const text = 'survivor report '.repeat(1000);
+    assert.ok(compressText(text).length < text.length / 10);
+  });
+
+  it('should handle empty content', () => {
+    assert.strictEqual(decompressText(compressText('')), '');
+    assert.strictEqual(decompressText(null), '');
+  });
+});
+
+describe('getRetention - Retention Limits', () => {
+  it('should use the target setting', () => {
+    assert.strictEqual(getRetention({ snapshot_retention: 3 }), 3);
+  });
+
+  it('should fall back to the default', () => {
+    assert.strictEqual(getRetention({}), 10);
+  });
+
+  it('should clamp to the maximum', () => {
+    assert.strictEqual(getRetention({ snapshot_retention: 500 }), 50);
+  });
+});
+
+describe('buildSnapshot / expandSnapshot - Rows', () => {
+  it('should store compressed content with metadata', () => {
+    const row = buildSnapshot({ id: 't1', user_id: 'u1' }, 'hello world', 'abc');
+    assert.strictEqual(row.target_id, 't1');
+    assert.strictEqual(row.user_id, 'u1');
+    assert.strictEqual(row.content_hash, 'abc');
+    assert.strictEqual(row.content_length, 11);
+    assert.notStrictEqual(row.content, 'hello world');
+  });
+
+  it('should expand a row back to text', () => {
+    const row = { id: 's1', ...buildSnapshot({ id: 't1', user_id: 'u1' }, 'hello world', 'abc') };
+    const expanded = expandSnapshot(row);
+    assert.strictEqual(expanded.text, 'hello world');
+    assert.strictEqual(expanded.content, undefined);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for Scan Statistics
+ * Tests per-user counters for scans and bandwidth
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { recordScan, getScanStats } from '../server/lib/stats.js';
+
+describe('Scan Statistics', () => {
+  it('should start empty for unknown users', () => {
+    const stats = getScanStats('stats-user-empty');
+    assert.strictEqual(stats.scans, 0);
+    assert.strictEqual(stats.bytesDownloaded, 0);
+    assert.strictEqual(stats.bytesSaved, 0);
+  });
+
+  it('should add up downloaded and saved bytes', () => {
+    recordScan('stats-user-a', { bytes: 1200 });
+    recordScan('stats-user-a', { notModified: true, bytesSaved: 1200 });
+    recordScan('stats-user-a', { notModified: true, bytesSaved: 1200 });
+
+    const stats = getScanStats('stats-user-a');
+    assert.strictEqual(stats.scans, 3);
+    assert.strictEqual(stats.notModified, 2);
+    assert.strictEqual(stats.bytesDownloaded, 1200);
+    assert.strictEqual(stats.bytesSaved, 2400);
+  });
+
+  it('should count errors', () => {
+    recordScan('stats-user-b', { error: true });
+    assert.strictEqual(getScanStats('stats-user-b').errors, 1);
+  });
+
+  it('should keep users separate', () => {
+    recordScan('stats-user-c', { bytes: 10 });
+    assert.strictEqual(getScanStats('stats-user-d').bytesDownloaded, 0);
+  });
+
+  it('should return a copy', () => {
+    recordScan('stats-user-e', { bytes: 5 });
+    getScanStats('stats-user-e').scans = 100;
+    assert.strictEqual(getScanStats('stats-user-e').scans, 1);
+  });
+});
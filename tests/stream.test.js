@@ -0,0 +1,168 @@
+/**
+ * Route Tests for the SSE Stream
+ * Tests session-only identity and that monitoring outlives the stream connection
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import express from 'express';
+import session from 'express-session';
+
+const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'sentinel-stream-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'file';
+process.env.SCHEDULER_TICK = '3600000'; // No scan pass runs during these tests
+
+const { sentinels } = await import('../server/lib/storage.js');
+const { stopMonitoring } = await import('../server/lib/signal.js');
+const { router: authRouter, requireAuth } = await import('../server/routes/auth.js');
+const { router: streamRouter } = await import('../server/routes/stream.js');
+
+let server;
+let baseUrl;
+
+/**
+ * Register a sentinel and return its session cookie and ID
+ * @param {string} callsign - Callsign
+ * @returns {Promise<{ cookie: string, id: string }>}
+ */
+async function register(callsign) {
+  const res = await fetch(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ callsign, passcode: 'passcode' })
+  });
+  const { sentinel } = await res.json();
+  return { cookie: res.headers.get('set-cookie').split(';')[0], id: sentinel.id };
+}
+
+/**
+ * Call a stream route as a sentinel
+ * @param {string} cookie - Session cookie
+ * @param {string} path - Path below /api/stream
+ * @param {string} [method] - HTTP method
+ * @returns {Promise<object>} - Response body
+ */
+async function call(cookie, path, method = 'GET') {
+  const res = await fetch(`${baseUrl}/api/stream${path}`, { method, headers: { cookie } });
+  return res.json();
+}
+
+/**
+ * Call a stream route without a session cookie
+ * @param {string} path - Path below /api/stream
+ * @param {object} [init] - fetch options
+ * @returns {Promise<Response>}
+ */
+function callAnonymous(path, init = {}) {
+  return fetch(`${baseUrl}/api/stream${path}`, init);
+}
+
+before(async () => {
+  // Same wiring as server/index.js
+  const app = express();
+  app.use(express.json());
+  app.use(session({ secret: 'test', resave: false, saveUninitialized: false, name: 'sentinel.sid' }));
+  app.use('/api/auth', authRouter);
+  app.use('/api/stream', requireAuth, streamRouter);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('stream identity', () => {
+  const routes = [
+    ['GET', '/connect'], ['GET', '/status'], ['POST', '/start'], ['POST', '/stop'], ['POST', '/scan']
+  ];
+
+  it('should reject every route without a session', async () => {
+    for (const [method, path] of routes) {
+      const res = await callAnonymous(path, { method });
+      assert.strictEqual(res.status, 401, `${method} ${path}`);
+      assert.strictEqual((await res.json()).error, 'UNAUTHORIZED');
+    }
+  });
+
+  it('should not accept a caller-supplied user ID in place of a session', async () => {
+    const { id } = await register('STREAM_VICTIM');
+
+    for (const [method, path] of routes) {
+      const byHeader = await callAnonymous(path, { method, headers: { 'x-user-id': id } });
+      assert.strictEqual(byHeader.status, 401, `${method} ${path} with x-user-id`);
+
+      const byQuery = await callAnonymous(`${path}?userId=${id}`, { method });
+      assert.strictEqual(byQuery.status, 401, `${method} ${path} with ?userId`);
+    }
+    assert.deepStrictEqual(await sentinels.getIdsByMonitoring(true), []);
+  });
+
+  it('should act as the session user whatever ID the caller supplies', async () => {
+    const victim = await register('STREAM_TARGET');
+    const caller = await register('STREAM_CALLER');
+
+    const res = await fetch(`${baseUrl}/api/stream/start?userId=${victim.id}`, {
+      method: 'POST',
+      headers: { cookie: caller.cookie, 'x-user-id': victim.id }
+    });
+    assert.strictEqual((await res.json()).success, true);
+
+    const stream = await fetch(`${baseUrl}/api/stream/connect?userId=${victim.id}`, {
+      headers: { cookie: caller.cookie, 'x-user-id': victim.id }
+    });
+    const reader = stream.body.getReader();
+    const { value } = await reader.read();
+    await reader.cancel();
+    assert.match(new TextDecoder().decode(value), new RegExp(`"userId":"${caller.id}"`));
+
+    assert.strictEqual((await call(victim.cookie, '/status')).data.isActive, false);
+    assert.strictEqual((await call(caller.cookie, `/status?userId=${victim.id}`)).data.isActive, true);
+    assert.deepStrictEqual(await sentinels.getIdsByMonitoring(true), [caller.id]);
+
+    await stopMonitoring(caller.id);
+  });
+});
+
+describe('stream connection', () => {
+  it('should keep the session scheduled after the stream closes', async () => {
+    const { cookie, id } = await register('STREAM_CLOSE');
+
+    const controller = new AbortController();
+    const stream = await fetch(`${baseUrl}/api/stream/connect`, { headers: { cookie }, signal: controller.signal });
+    const reader = stream.body.getReader();
+    await reader.read(); // The connected event
+
+    const started = await call(cookie, '/start', 'POST');
+    assert.strictEqual(started.success, true);
+    assert.strictEqual((await call(cookie, '/status')).data.connections, 1);
+
+    controller.abort();
+    await reader.read().catch(() => {});
+
+    // Wait for the server to see the disconnect
+    let status;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      status = (await call(cookie, '/status')).data;
+      if (status.connections === 0) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    assert.strictEqual(status.connected, false);
+    assert.strictEqual(status.isActive, true);
+    assert.strictEqual(status.sessionId, started.sessionId);
+    assert.deepStrictEqual(await sentinels.getIdsByMonitoring(true), [id]);
+
+    await stopMonitoring(id);
+  });
+});
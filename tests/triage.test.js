@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for Signal Triage
+ * Tests triage field validation and change detection
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { validateTriage, diffTriage, MAX_NOTES_LENGTH } from '../server/lib/triage.js';
+
+describe('validateTriage', () => {
+  it('should accept each status', () => {
+    for (const status of ['new', 'acknowledged', 'dismissed', 'escalated']) {
+      assert.deepStrictEqual(validateTriage({ status }), { updates: { status } });
+    }
+  });
+
+  it('should normalize the assignee and notes', () => {
+    assert.deepStrictEqual(validateTriage({ assignee: ' echo_1 ', notes: '  Check upstream \n' }), {
+      updates: { assignee: 'ECHO_1', notes: 'Check upstream' }
+    });
+  });
+
+  it('should clear the assignee and notes when empty', () => {
+    assert.deepStrictEqual(validateTriage({ assignee: '', notes: '   ' }), {
+      updates: { assignee: null, notes: null }
+    });
+    assert.deepStrictEqual(validateTriage({ assignee: null, notes: null }), {
+      updates: { assignee: null, notes: null }
+    });
+  });
+
+  it('should reject invalid values', () => {
+    assert.match(validateTriage({ status: 'closed' }).error, /Status must be one of/);
+    assert.match(validateTriage({ status: 'ESCALATED' }).error, /Status must be one of/);
+    assert.match(validateTriage({ assignee: 'no spaces allowed' }).error, /Assignee/);
+    assert.match(validateTriage({ assignee: 42 }).error, /Assignee/);
+    assert.match(validateTriage({ notes: 'x'.repeat(MAX_NOTES_LENGTH + 1) }).error, /Notes/);
+    assert.match(validateTriage({ notes: ['a'] }).error, /Notes/);
+  });
+
+  it('should require at least one field', () => {
+    assert.match(validateTriage({}).error, /Nothing to update/);
+    assert.match(validateTriage(undefined).error, /Nothing to update/);
+    assert.match(validateTriage({ threat_level: 'LOW' }).error, /Nothing to update/);
+  });
+});
+
+describe('diffTriage', () => {
+  it('should treat a signal without triage fields as new and unassigned', () => {
+    assert.deepStrictEqual(diffTriage({}, { status: 'new', assignee: null, notes: null }), {});
+  });
+
+  it('should list only the fields that change', () => {
+    const signal = { status: 'acknowledged', assignee: 'ECHO_1', notes: null };
+    assert.deepStrictEqual(diffTriage(signal, { status: 'escalated', assignee: 'ECHO_1' }), {
+      status: { from: 'acknowledged', to: 'escalated' }
+    });
+    assert.deepStrictEqual(diffTriage(signal, { assignee: null, notes: 'Handed off' }), {
+      assignee: { from: 'ECHO_1', to: null },
+      notes: { from: null, to: 'Handed off' }
+    });
+  });
+});